@@ -1,29 +0,0 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-require('dotenv').config();
-
-async function listModels() {
-    const key = process.env.GEMINI_API_KEY;
-    if (!key) {
-        console.log("No API Key found");
-        return;
-    }
-
-    try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${key}`);
-        const data = await response.json();
-        if (data.models) {
-            console.log("Available Models:");
-            data.models.forEach(m => {
-                if (m.supportedGenerationMethods && m.supportedGenerationMethods.includes('generateContent')) {
-                    console.log(`- ${m.name}`);
-                }
-            });
-        } else {
-            console.log("No models found or error:", data);
-        }
-    } catch (error) {
-        console.error("Error fetching models:", error);
-    }
-}
-
-listModels();
@@ -0,0 +1,219 @@
+const pdf = require('pdf-parse');
+const { getTemplate, getDefaultTemplateId } = require('./promptTemplates');
+const { ANALYSIS_SCHEMA, AnalysisValidationError, formatJsonFields, validateStructuredAnalysis, renderStructuredMarkdown } = require('./structuredAnalysis');
+
+// Roughly the old single-shot limit; each chunk stays well inside the model's context window
+const DEFAULT_CHUNK_CHARS = 20000;
+const DEFAULT_CONCURRENCY = 2;
+
+// Same line-joining logic as pdf-parse's default renderer, but keeps every page separately
+function renderPageInto(pages) {
+    return pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+            let lastY, text = '';
+            for (const item of textContent.items) {
+                if (lastY == item.transform[5] || !lastY) {
+                    text += item.str;
+                } else {
+                    text += '\n' + item.str;
+                }
+                lastY = item.transform[5];
+            }
+            pages[pageData.pageIndex] = text;
+            return text;
+        });
+}
+
+// Extract text per page. Returns { text, pages: [pageText, ...], numPages }
+async function extractPages(dataBuffer) {
+    const pages = [];
+    const data = await pdf(dataBuffer, { pagerender: renderPageInto(pages) });
+    for (let i = 0; i < data.numpages; i++) {
+        if (typeof pages[i] !== 'string') pages[i] = '';
+    }
+    return { text: data.text, pages, numPages: data.numpages };
+}
+
+// Group consecutive pages into chunks of at most maxChars.
+// A single page larger than maxChars is split into several chunks sharing the same page range.
+function chunkPages(pages, maxChars = DEFAULT_CHUNK_CHARS) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+        if (current && current.text.trim()) chunks.push(current);
+        current = null;
+    };
+
+    pages.forEach((pageText, index) => {
+        const pageNumber = index + 1;
+        const block = `[Page ${pageNumber}]\n${pageText}\n`;
+
+        if (block.length > maxChars) {
+            flush();
+            for (let offset = 0; offset < block.length; offset += maxChars) {
+                chunks.push({ startPage: pageNumber, endPage: pageNumber, text: block.substring(offset, offset + maxChars) });
+            }
+            return;
+        }
+
+        if (current && current.text.length + block.length > maxChars) {
+            flush();
+        }
+        if (!current) {
+            current = { startPage: pageNumber, endPage: pageNumber, text: '' };
+        }
+        current.text += block;
+        current.endPage = pageNumber;
+    });
+    flush();
+
+    return chunks;
+}
+
+// Run fn over items with at most `limit` calls in flight, preserving result order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+function formatPageRange(chunk) {
+    return chunk.startPage === chunk.endPage ? `page ${chunk.startPage}` : `pages ${chunk.startPage}-${chunk.endPage}`;
+}
+
+const IMAGES_NOTE = 'Images of some pages are attached, each labeled with its page number. Use them for figures, diagrams, ' +
+    'tables, sketches and handwriting that the extracted text misses or garbles.';
+
+function buildAnalysisPrompt(text, template, withImages) {
+    return `
+${template.intro}
+Page markers like [Page 3] show where each page starts; use them to fill in "page".
+${withImages ? IMAGES_NOTE : ''}
+
+${formatJsonFields(template, { figures: withImages })}
+
+**Text Content:**
+${text}
+`;
+}
+
+function buildChunkPrompt(chunk, index, total, template) {
+    const withImages = chunk.images.length > 0;
+    return `
+${template.intro}
+You are reading part ${index + 1} of ${total} (${formatPageRange(chunk)}) of the document.
+Extract everything relevant from this part only. Other parts are analyzed separately and merged later,
+so do not speculate about content you cannot see. Set "page" on every item.
+${withImages ? IMAGES_NOTE : ''}
+
+${formatJsonFields(template, { figures: withImages })}
+
+**Text Content:**
+${chunk.text}
+`;
+}
+
+function buildMergePrompt(partials, chunks, template, withImages) {
+    const parts = partials.map((partial, i) => `### Part ${i + 1} (${formatPageRange(chunks[i])})\n${JSON.stringify(partial)}`).join('\n\n');
+    return `
+The following are partial analyses (JSON) of consecutive parts of one document.
+Merge them into a single comprehensive analysis of the whole document. Write one summary for the
+whole document, remove duplicates, keep page numbers, and keep every distinct action item,
+deadline, term and open question${withImages ? ' and every figure' : ''}.
+
+${formatJsonFields(template, { figures: withImages })}
+
+**Partial Analyses:**
+${parts}
+`;
+}
+
+// One schema-constrained model call, validated. An invalid response is retried once.
+async function generateStructured(generate, prompt, images = []) {
+    try {
+        return validateStructuredAnalysis(await generate(prompt, ANALYSIS_SCHEMA, images));
+    } catch (err) {
+        if (!(err instanceof AnalysisValidationError)) throw err;
+        return validateStructuredAnalysis(await generate(prompt, ANALYSIS_SCHEMA, images));
+    }
+}
+
+// Give every page image to the first chunk that covers its page
+function attachImages(chunks, images) {
+    chunks.forEach(chunk => { chunk.images = []; });
+    for (const image of images) {
+        const chunk = chunks.find(c => c.startPage <= image.page && image.page <= c.endPage);
+        if (chunk) chunk.images.push(image);
+    }
+}
+
+// Map-reduce analysis: one call per chunk, then one call to merge the partial results.
+// `generate(prompt, schema, images)` must return the model's text (JSON when a schema is given);
+// retries and rate limiting live there. `options.template` is a template id from promptTemplates.js.
+// `options.images` ([{ page, mimeType, data }], see pageImages.js) are sent with the chunks covering
+// their pages and add a figures section to the result.
+// Returns { structured, analysis (markdown rendering), chunks }.
+async function analyzeDocument(pages, generate, options = {}) {
+    const {
+        maxChars = DEFAULT_CHUNK_CHARS,
+        concurrency = DEFAULT_CONCURRENCY,
+        logFn = console.log,
+        fileName = 'document',
+        images = [],
+        onProgress = () => {}
+    } = options;
+    const withImages = images.length > 0;
+    const templateId = getTemplate(options.template) ? options.template : getDefaultTemplateId();
+    const template = getTemplate(templateId);
+
+    const chunks = chunkPages(pages, maxChars);
+    attachImages(chunks, images);
+    const chunkInfo = {
+        count: chunks.length,
+        pageRanges: chunks.map(c => ({ startPage: c.startPage, endPage: c.endPage }))
+    };
+    const finish = structured => ({ structured, analysis: renderStructuredMarkdown(structured, templateId), chunks: chunkInfo });
+
+    if (chunks.length === 0) {
+        return finish({ summary: 'No extractable text found in this document.', keyPoints: [], actionItems: [], glossary: [], openQuestions: [], figures: [] });
+    }
+
+    if (chunks.length === 1) {
+        const structured = await generateStructured(generate, buildAnalysisPrompt(chunks[0].text, template, withImages), chunks[0].images);
+        onProgress(1);
+        return finish(structured);
+    }
+
+    // Progress counts every chunk call plus the final merge call
+    let completed = 0;
+    const totalCalls = chunks.length + 1;
+
+    logFn(`Analyzing ${fileName} in ${chunks.length} chunks (concurrency ${concurrency})...`);
+    const partials = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+        const partial = await generateStructured(generate, buildChunkPrompt(chunk, index, chunks.length, template), chunk.images);
+        logFn(`Analyzed chunk ${index + 1}/${chunks.length} of ${fileName} (${formatPageRange(chunk)})`);
+        onProgress(++completed / totalCalls);
+        return partial;
+    });
+
+    logFn(`Merging ${partials.length} partial analyses for ${fileName}...`);
+    const structured = await generateStructured(generate, buildMergePrompt(partials, chunks, template, withImages));
+    onProgress(1);
+    return finish(structured);
+}
+
+module.exports = { extractPages, chunkPages, mapWithConcurrency, analyzeDocument };
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { readSidecar, writeSidecar } = require('./sidecars');
+
+// Per-user read state, notes and highlights of a document, kept in its .annotations.json sidecar:
+// { name, users: { [userId]: { read, readAt, note, noteUpdatedAt, highlights: [...] } } }
+// Highlights are stored as text positions, never as HTML, because other users load the same file.
+
+const MAX_NOTE_LENGTH = 20000;
+const MAX_HIGHLIGHT_LENGTH = 5000;
+
+function emptyUserAnnotations() {
+    return { read: false, readAt: null, note: '', noteUpdatedAt: null, highlights: [] };
+}
+
+function readAnnotations(pdfPath, fileName) {
+    return readSidecar(pdfPath, 'annotations') || { name: fileName, users: {} };
+}
+
+// Load, let `change` modify the user's entry, save. Returns the user's updated entry.
+function updateUserAnnotations(pdfPath, fileName, userId, change) {
+    const data = readAnnotations(pdfPath, fileName);
+    const entry = { ...emptyUserAnnotations(), ...data.users[userId] };
+    change(entry);
+    entry.updatedAt = new Date().toISOString();
+    data.users[userId] = entry;
+    writeSidecar(pdfPath, 'annotations', data);
+    return entry;
+}
+
+// What one user sees for a document: their own annotations plus everyone else's notes
+function getUserAnnotations(pdfPath, fileName, userId) {
+    const data = readAnnotations(pdfPath, fileName);
+    const own = { ...emptyUserAnnotations(), ...data.users[userId] };
+    const otherNotes = Object.entries(data.users)
+        .filter(([id, entry]) => id !== userId && entry.note)
+        .map(([id, entry]) => ({ user: id, note: entry.note, updatedAt: entry.noteUpdatedAt }));
+    return { ...own, otherNotes };
+}
+
+function setReadState(pdfPath, fileName, userId, read) {
+    return updateUserAnnotations(pdfPath, fileName, userId, entry => {
+        entry.read = !!read;
+        entry.readAt = read ? new Date().toISOString() : null;
+    });
+}
+
+function setNote(pdfPath, fileName, userId, note) {
+    if (typeof note !== 'string') throw new Error('note must be a string');
+    if (note.length > MAX_NOTE_LENGTH) throw new Error(`note is longer than ${MAX_NOTE_LENGTH} characters`);
+    return updateUserAnnotations(pdfPath, fileName, userId, entry => {
+        entry.note = note.trim();
+        entry.noteUpdatedAt = entry.note ? new Date().toISOString() : null;
+    });
+}
+
+// highlight: { section: index of the analysis section, text, offset: position of text in the section }
+function addHighlight(pdfPath, fileName, userId, highlight) {
+    const { section, text, offset } = highlight || {};
+    if (!Number.isInteger(section) || section < 0) throw new Error('section must be a non-negative integer');
+    if (typeof text !== 'string' || !text.trim()) throw new Error('text is required');
+    if (text.length > MAX_HIGHLIGHT_LENGTH) throw new Error(`text is longer than ${MAX_HIGHLIGHT_LENGTH} characters`);
+
+    const created = {
+        id: crypto.randomBytes(6).toString('hex'),
+        section,
+        text,
+        offset: Number.isInteger(offset) && offset >= 0 ? offset : null,
+        createdAt: new Date().toISOString()
+    };
+    updateUserAnnotations(pdfPath, fileName, userId, entry => {
+        entry.highlights = [...entry.highlights, created];
+    });
+    return created;
+}
+
+// Remove one highlight, or all of them when id is omitted. Returns the number removed.
+function removeHighlights(pdfPath, fileName, userId, id) {
+    let removed = 0;
+    updateUserAnnotations(pdfPath, fileName, userId, entry => {
+        const kept = id ? entry.highlights.filter(h => h.id !== id) : [];
+        removed = entry.highlights.length - kept.length;
+        entry.highlights = kept;
+    });
+    return removed;
+}
+
+module.exports = { getUserAnnotations, setReadState, setNote, addHighlight, removeHighlights };
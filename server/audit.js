@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only record of destructive and administrative actions, one JSON object per line
+// in DATA_DIR/audit.log.
+
+function getAuditPath(dataDir) {
+    return path.join(dataDir, 'audit.log');
+}
+
+function recordAudit(dataDir, req, action, target, details = {}) {
+    const entry = {
+        time: new Date().toISOString(),
+        user: req.user ? req.user.username : null,
+        role: req.user ? req.user.role : null,
+        ip: req.ip,
+        action,
+        target,
+        details
+    };
+    try {
+        fs.appendFileSync(getAuditPath(dataDir), JSON.stringify(entry) + '\n');
+    } catch (err) {
+        console.error('Error writing audit log:', err);
+    }
+    return entry;
+}
+
+// Newest first, optionally filtered by user or action
+function readAudit(dataDir, { limit = 200, user, action } = {}) {
+    const auditPath = getAuditPath(dataDir);
+    if (!fs.existsSync(auditPath)) return [];
+
+    return fs.readFileSync(auditPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(entry => entry && (!user || entry.user === user) && (!action || entry.action === action))
+        .reverse()
+        .slice(0, limit);
+}
+
+module.exports = { recordAudit, readAudit };
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local user store (DATA_DIR/users.json), password hashing, signed session tokens and role checks.
+// Tokens are HMAC-signed rather than kept in a session table, so they stay valid across restarts
+// and serverless cold starts as long as AUTH_SECRET doesn't change.
+
+const ROLES = ['viewer', 'editor', 'admin']; // Each role can do everything the previous one can
+const SESSION_COOKIE = 'session';
+const USERNAME_PATTERN = /^[\w.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_LOGIN_FAILURES = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+function sessionTtlMs() {
+    return (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+}
+
+function isAuthDisabled() {
+    return process.env.AUTH_DISABLED === 'true';
+}
+
+// --- User store ---
+
+function getUsersPath(dataDir) {
+    return path.join(dataDir, 'users.json');
+}
+
+function loadUsers(dataDir) {
+    const usersPath = getUsersPath(dataDir);
+    if (fs.existsSync(usersPath)) {
+        try {
+            return JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+        } catch (err) {
+            console.error('Error reading users.json:', err);
+        }
+    }
+    return {};
+}
+
+function saveUsers(dataDir, users) {
+    fs.writeFileSync(getUsersPath(dataDir), JSON.stringify(users, null, 2), { mode: 0o600 });
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against when the user doesn't exist, so response times don't reveal valid usernames
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function publicUser(username, record) {
+    return { username, role: record.role, provider: record.provider || 'local', createdAt: record.createdAt };
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function listUsers(dataDir) {
+    return Object.entries(loadUsers(dataDir)).map(([username, record]) => publicUser(username, record));
+}
+
+function getUser(dataDir, username) {
+    const record = loadUsers(dataDir)[username];
+    return record ? publicUser(username, record) : null;
+}
+
+// Throws on invalid input or an existing username. subject links an OIDC account to the provider's `sub`.
+function createUser(dataDir, { username, password, role = 'viewer', provider = 'local', subject = null }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new Error('username may only contain letters, digits and . _ @ - (max 64)');
+    }
+    validateRole(role);
+    if (provider === 'local') validatePassword(password);
+
+    const users = loadUsers(dataDir);
+    if (users[username]) throw new Error(`User ${username} already exists`);
+
+    users[username] = {
+        role,
+        provider,
+        passwordHash: provider === 'local' ? hashPassword(password) : null,
+        ...(provider === 'oidc' && subject && { subject }),
+        tokenVersion: 0,
+        createdAt: new Date().toISOString()
+    };
+    saveUsers(dataDir, users);
+    return publicUser(username, users[username]);
+}
+
+// The account of a single sign-on subject: the one linked to it, else an OIDC account an admin created
+// under the username (linked now), else a new one with role. A local account or one linked to another
+// subject is never taken over. Returns { user, created }.
+function findOrCreateOidcUser(dataDir, { username, subject, role }) {
+    const users = loadUsers(dataDir);
+    const linked = Object.entries(users).find(([, record]) => record.provider === 'oidc' && record.subject === subject);
+    if (linked) return { user: publicUser(...linked), created: false };
+
+    const record = users[username];
+    if (!record) {
+        return { user: createUser(dataDir, { username, role, provider: 'oidc', subject }), created: true };
+    }
+    if (record.provider !== 'oidc' || record.subject) {
+        throw new Error(`An account named ${username} already exists and is not linked to this sign-in`);
+    }
+    record.subject = subject;
+    saveUsers(dataDir, users);
+    return { user: publicUser(username, record), created: false };
+}
+
+function countAdmins(users) {
+    return Object.values(users).filter(record => record.role === 'admin').length;
+}
+
+// Change role and/or password. A new password signs the user out everywhere.
+// Returns null for an unknown user; throws on invalid input or when removing the last admin.
+function updateUser(dataDir, username, { role, password }) {
+    const users = loadUsers(dataDir);
+    const record = users[username];
+    if (!record) return null;
+
+    if (role !== undefined) {
+        validateRole(role);
+        if (record.role === 'admin' && role !== 'admin' && countAdmins(users) === 1) {
+            throw new Error('Cannot demote the last admin');
+        }
+        record.role = role;
+    }
+    if (password !== undefined) {
+        if (record.provider !== 'local') throw new Error('Password can only be set for local users');
+        validatePassword(password);
+        record.passwordHash = hashPassword(password);
+        record.tokenVersion = (record.tokenVersion || 0) + 1;
+    }
+
+    saveUsers(dataDir, users);
+    return publicUser(username, record);
+}
+
+function deleteUser(dataDir, username) {
+    const users = loadUsers(dataDir);
+    if (!users[username]) return false;
+    if (users[username].role === 'admin' && countAdmins(users) === 1) {
+        throw new Error('Cannot delete the last admin');
+    }
+    delete users[username];
+    saveUsers(dataDir, users);
+    return true;
+}
+
+// First start: create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+function ensureBootstrapAdmin(dataDir, logFn = console.log) {
+    if (isAuthDisabled() || Object.keys(loadUsers(dataDir)).length > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        logFn('Auth: no users exist yet. Set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin.');
+        return;
+    }
+    createUser(dataDir, { username, password, role: 'admin' });
+    logFn(`Auth: created admin user "${username}"`);
+}
+
+// --- Login throttling (per client and username, in memory) ---
+
+const loginFailures = new Map();
+
+function isLockedOut(key) {
+    const entry = loginFailures.get(key);
+    return !!entry && entry.count >= MAX_LOGIN_FAILURES && Date.now() - entry.lastAt < LOCKOUT_MS;
+}
+
+function recordLoginFailure(key) {
+    const entry = loginFailures.get(key);
+    const expired = entry && Date.now() - entry.lastAt >= LOCKOUT_MS;
+    loginFailures.set(key, { count: entry && !expired ? entry.count + 1 : 1, lastAt: Date.now() });
+}
+
+// Returns the user on success, null on bad credentials. Throws when locked out.
+function authenticateUser(dataDir, username, password, clientKey = '') {
+    const key = `${clientKey}|${username}`;
+    if (isLockedOut(key)) {
+        throw new Error('Too many failed attempts, try again later');
+    }
+
+    const record = loadUsers(dataDir)[username];
+    const valid = verifyPassword(String(password || ''), record && record.provider === 'local' ? record.passwordHash : DUMMY_HASH);
+    if (!record || !valid) {
+        recordLoginFailure(key);
+        return null;
+    }
+
+    loginFailures.delete(key);
+    return publicUser(username, record);
+}
+
+// --- Tokens ---
+
+// AUTH_SECRET should be set in production; otherwise a generated secret is kept in DATA_DIR
+let cachedSecret = null;
+function getSecret(dataDir) {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+    if (cachedSecret) return cachedSecret;
+
+    const secretPath = path.join(dataDir, '.auth-secret');
+    if (fs.existsSync(secretPath)) {
+        cachedSecret = fs.readFileSync(secretPath, 'utf8').trim();
+    } else {
+        cachedSecret = crypto.randomBytes(32).toString('hex');
+        fs.writeFileSync(secretPath, cachedSecret, { mode: 0o600 });
+    }
+    return cachedSecret;
+}
+
+function sign(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function issueToken(dataDir, username) {
+    const record = loadUsers(dataDir)[username];
+    const payload = { sub: username, ver: record ? record.tokenVersion || 0 : 0, exp: Date.now() + sessionTtlMs() };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(getSecret(dataDir), data)}`;
+}
+
+// Returns the current user for a valid token, null otherwise. Role comes from the store,
+// so role changes and deleted accounts take effect immediately.
+function verifyToken(dataDir, token) {
+    const [data, signature] = (token || '').split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(getSecret(dataDir), data));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+    if (!payload.exp || payload.exp < Date.now()) return null;
+
+    const record = loadUsers(dataDir)[payload.sub];
+    if (!record || (record.tokenVersion || 0) !== payload.ver) return null;
+    return publicUser(payload.sub, record);
+}
+
+function readCookie(req, name) {
+    const header = req.get('Cookie') || '';
+    for (const part of header.split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+// Bearer token for scripts, session cookie for the dashboard
+function readToken(req) {
+    const header = req.get('Authorization') || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    return bearer ? bearer[1].trim() : readCookie(req, SESSION_COOKIE);
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: sessionTtlMs(),
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// --- Middleware ---
+
+// Sets req.user (or null). With AUTH_DISABLED=true everyone is a local admin.
+function authenticateRequest(dataDir) {
+    return (req, res, next) => {
+        req.user = isAuthDisabled()
+            ? { username: 'local', role: 'admin', provider: 'none' }
+            : verifyToken(dataDir, readToken(req));
+        next();
+    };
+}
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ success: false, message: `This action requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    isAuthDisabled,
+    listUsers,
+    getUser,
+    createUser,
+    findOrCreateOidcUser,
+    updateUser,
+    deleteUser,
+    ensureBootstrapAdmin,
+    authenticateUser,
+    issueToken,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticateRequest,
+    hasRole,
+    requireRole
+};
@@ -0,0 +1,85 @@
+// Question answering grounded in one document's extracted text
+
+const DEFAULT_CONTEXT_CHARS = 12000;
+const MAX_PASSAGES = 6;
+const HISTORY_TURNS = 6; // Previous messages included in the prompt for follow-up questions
+
+// Pick the passages to show the model: best-matching pages first, then the opening pages
+// when the question has no usable keywords (e.g. "summarize this").
+function selectPassages(retrieved, pages, maxChars = DEFAULT_CONTEXT_CHARS) {
+    const candidates = retrieved.length > 0
+        ? retrieved
+        : pages.map((text, index) => ({ field: 'text', page: index + 1, text }));
+
+    const passages = [];
+    let used = 0;
+    for (const passage of candidates) {
+        if (passages.length >= MAX_PASSAGES || used >= maxChars) break;
+        if (!passage.text || !passage.text.trim()) continue;
+        const text = passage.text.substring(0, maxChars - used);
+        passages.push({ ...passage, text });
+        used += text.length;
+    }
+    return passages;
+}
+
+function buildQuestionPrompt(fileName, question, passages, history) {
+    const context = passages.map(p => {
+        const label = p.field === 'analysis' ? 'AI analysis' : `Page ${p.page}`;
+        return `[${label}]\n${p.text}`;
+    }).join('\n\n');
+
+    const previous = history.slice(-HISTORY_TURNS)
+        .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+        .join('\n');
+
+    return `
+You answer questions about the document "${fileName}" using ONLY the excerpts below.
+Cite the page for every fact in the form [p. N]. If the excerpts do not contain the answer,
+say so plainly instead of guessing.
+
+**Document Excerpts:**
+${context}
+${previous ? `\n**Conversation So Far:**\n${previous}\n` : ''}
+**Question:**
+${question}
+`;
+}
+
+// Page numbers cited as [p. 3], [p. 3, 5] or [pp. 3-5], limited to pages we actually provided (of pageCount)
+function extractCitations(answer, passages, pageCount) {
+    const available = new Set(passages.filter(p => p.page).map(p => p.page));
+    const cited = new Set();
+    const regex = /\[pp?\.\s*([\d,\s\-–]+)\]/gi;
+    let match;
+    while ((match = regex.exec(answer)) !== null) {
+        for (const part of match[1].split(',')) {
+            const [start, end] = part.split(/[-–]/).map(n => parseInt(n, 10));
+            if (isNaN(start)) continue;
+            // Ranges are clamped to the document, whatever the model wrote (e.g. "pp. 1-99999999")
+            const last = Math.min(isNaN(end) ? start : end, pageCount);
+            for (let page = Math.max(start, 1); page <= last; page++) {
+                if (available.has(page)) cited.add(page);
+            }
+        }
+    }
+    return [...cited].sort((a, b) => a - b);
+}
+
+// retrieve(query) -> ranked passages; generate(prompt) -> model text
+async function answerQuestion({ fileName, question, pages, history = [], retrieve, generate, maxChars }) {
+    // Follow-ups like "and when is it due?" need the previous question's keywords too
+    const lastQuestion = [...history].reverse().find(m => m.role === 'user');
+    const retrievalQuery = lastQuestion ? `${question} ${lastQuestion.content}` : question;
+
+    const passages = selectPassages(retrieve(retrievalQuery), pages, maxChars);
+    const answer = await generate(buildQuestionPrompt(fileName, question, passages, history));
+
+    return {
+        answer,
+        citations: extractCitations(answer, passages, pages.length),
+        sources: passages.map(p => ({ field: p.field, page: p.page }))
+    };
+}
+
+module.exports = { answerQuestion, extractCitations, selectPassages };
@@ -1,6 +1,8 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
 
 // Changed from 'drive.file' to 'drive' to allow full read/write access to shared files
 const SCOPES = ['https://www.googleapis.com/auth/drive'];
@@ -37,6 +39,24 @@ async function authenticate(logFn = console.log) {
     }
 }
 
+// DRIVE_API_URL points the client at another server speaking the Drive API, e.g. fakeDrive.js
+// for local testing; no credentials are sent then
+async function getDriveClient() {
+    if (process.env.DRIVE_API_URL) {
+        const rootUrl = process.env.DRIVE_API_URL;
+        const drive = google.drive({ version: 'v3', rootUrl });
+        // The client-wide rootUrl isn't applied to upload URLs; those take it from the per-call options
+        for (const method of ['create', 'update']) {
+            const send = drive.files[method].bind(drive.files);
+            drive.files[method] = (params, options = {}) => send(params, { rootUrl, ...options });
+        }
+        return drive;
+    }
+    // Not the sync logger: the auth debug lines (client email, scopes) stay out of the server logs
+    const authClient = await authenticate();
+    return google.drive({ version: 'v3', auth: authClient });
+}
+
 async function downloadFile(drive, fileId, destPath) {
     const dest = fs.createWriteStream(destPath);
     // supportsAllDrives is technically for list/get metadata, but good to have if needed. 
@@ -46,9 +66,11 @@ async function downloadFile(drive, fileId, destPath) {
         { responseType: 'stream' }
     );
 
+    // Resolve once the file is fully written, not when the download stream ends,
+    // so a re-downloaded PDF is never processed half-written
     return new Promise((resolve, reject) => {
+        dest.on('finish', () => resolve()).on('error', err => reject(err));
         res.data
-            .on('end', () => resolve())
             .on('error', err => reject(err))
             .pipe(dest);
     });
@@ -71,108 +93,480 @@ function saveDownloadedFiles(dataDir, files) {
     fs.writeFileSync(recordPath, JSON.stringify(files, null, 2));
 }
 
-async function syncDriveFiles(folderIdRaw, downloadDir, logFn = console.log) {
-    const folderId = folderIdRaw ? folderIdRaw.trim() : null;
-    if (!folderId) {
-        logFn("Drive Sync: No Folder ID provided. Skipping.");
-        return;
+// Source folders to sync. DRIVE_SOURCES is a JSON list:
+//   [{ "folderId": "...", "path": "Work", "include": ["*.pdf"], "exclude": ["Archive/**"] }]
+// Without it, DRIVE_FOLDER_ID holds one or more comma-separated folder ids.
+// `path` is the local directory below DATA_DIR the folder is mirrored to; it defaults to the
+// DATA_DIR root for a single source and to the folder's Drive name when there are several.
+// Patterns are matched against PDF paths relative to the source folder: `*` and `?` stay within
+// one path segment, `**` spans any number; a pattern without `/` matches the file or folder name at any depth.
+function getDriveSources() {
+    let sources = [];
+    if (process.env.DRIVE_SOURCES) {
+        try {
+            sources = JSON.parse(process.env.DRIVE_SOURCES);
+        } catch (err) {
+            console.error(`Ignoring DRIVE_SOURCES, it is not valid JSON: ${err.message}`);
+        }
+    } else if (process.env.DRIVE_FOLDER_ID) {
+        sources = process.env.DRIVE_FOLDER_ID.split(',').map(folderId => ({ folderId }));
     }
+    return (Array.isArray(sources) ? sources : [])
+        .filter(source => source && typeof source.folderId === 'string' && source.folderId.trim())
+        .map(source => ({
+            folderId: source.folderId.trim(),
+            path: typeof source.path === 'string' ? toLocalPath(source.path.split('/')) : null,
+            include: Array.isArray(source.include) && source.include.length > 0 ? source.include : ['**'],
+            exclude: Array.isArray(source.exclude) ? source.exclude : []
+        }));
+}
 
-    logFn("Drive Sync: Checking for new files...");
-    try {
-        const authClient = await authenticate();
-        const drive = google.drive({ version: 'v3', auth: authClient });
+// Drive names may contain characters that are path separators locally
+function toLocalPath(segments) {
+    return segments
+        .map(segment => segment.replace(/[\/\\]/g, '_').trim())
+        .filter(Boolean)
+        .map(segment => segment === '.' || segment === '..' ? '_' : segment)
+        .join('/');
+}
 
-        // Updated query to include JSON files
-        // ADDED: supportsAllDrives and includeItemsFromAllDrives for Shared Drive support
+function globToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // `dir/**` also matches `dir` itself, `**/x` also matches `x`
+            if (pattern[i + 2] === '/') {
+                regex += '(?:.*/)?';
+                i += 2;
+            } else {
+                regex = regex.endsWith('/') ? regex.slice(0, -1) + '(?:/.*)?' : regex + '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`, 'i');
+}
+
+function matchesAny(patterns, relativePath) {
+    const name = relativePath.split('/').pop();
+    return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? relativePath : name));
+}
+
+// The JSON files the app itself puts on Drive: result caches and sidecars of a PDF
+// (report.pdf.json, report.pdf.chat.json) and syntheses
+const SIDECAR_JSON = /^(.*\.pdf)(\.[^./]+)?\.json$/i;
+const SYNTHESIS_JSON = /\.synthesis\.json$/i;
+
+// Whether a file of a source is synced. PDFs must be named *.pdf and match the patterns, sidecars
+// follow their PDF and syntheses are always kept. Nothing else is downloaded, so a shared folder
+// can't place app state (users.json, tasks.json, the trash) in DATA_DIR.
+function isIncluded(source, relativePath, mimeType) {
+    if (relativePath.split('/').some(segment => segment.toLowerCase() === '.trash')) return false;
+    let subject = relativePath;
+    if (mimeType === 'application/json') {
+        if (SYNTHESIS_JSON.test(relativePath)) return true;
+        const sidecar = relativePath.match(SIDECAR_JSON);
+        if (!sidecar) return false;
+        subject = sidecar[1];
+    } else if (!relativePath.toLowerCase().endsWith('.pdf')) {
+        return false;
+    }
+    return matchesAny(source.include, subject) && !matchesAny(source.exclude, subject);
+}
+
+// Remember a file we uploaded ourselves so the next sync doesn't download it again.
+// `name` is its local path below dataDir when that differs from the Drive name.
+function markFileAsDownloaded(dataDir, driveFile, name = driveFile.name) {
+    const downloaded = loadDownloadedFiles(dataDir);
+    const parentId = driveFile.parents ? driveFile.parents[0] : null;
+    const owner = Object.values(downloaded).find(record => record.parentId === parentId);
+    downloaded[driveFile.id] = {
+        name,
+        parentId,
+        source: owner ? owner.source : parentId,
+        downloadedAt: new Date().toISOString(),
+        driveModifiedTime: driveFile.modifiedTime,
+        md5Checksum: driveFile.md5Checksum
+    };
+    saveDownloadedFiles(dataDir, downloaded);
+}
+
+// Drive file id of every file we downloaded or uploaded: { [name]: id }
+function getDriveFileIds(dataDir) {
+    const ids = {};
+    for (const [id, record] of Object.entries(loadDownloadedFiles(dataDir))) {
+        ids[record.name] = id;
+    }
+    return ids;
+}
+
+// Drive folder that files belonging to a document are uploaded to: the folder its PDF came from,
+// otherwise the first source folder. Null when Drive is not configured.
+function getDriveFolderFor(dataDir, fileName) {
+    const sources = getDriveSources();
+    if (sources.length === 0) return null;
+    const record = Object.values(loadDownloadedFiles(dataDir)).find(other => other.name === fileName);
+    return record && record.parentId ? record.parentId : sources[0].folderId;
+}
+
+// Drive only reports md5Checksum for binary content; fall back to modifiedTime when either side lacks it
+function isModifiedOnDrive(record, file) {
+    if (record.md5Checksum && file.md5Checksum) {
+        return record.md5Checksum !== file.md5Checksum;
+    }
+    return record.driveModifiedTime !== file.modifiedTime;
+}
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const SYNCED_MIME_TYPES = ['application/pdf', 'application/json'];
+
+// PDFs and JSON files of the folder and all its subfolders that the source includes, all pages.
+// Each file gets `folderPath`, the subfolder it is in relative to the source folder ('' for the
+// folder itself, 'Projects/Alpha' when nested) and `parentId`. Excluded subfolders are not listed.
+// Every listed folder is added to `folders` ({ [folderId]: { source, localPath, relativePath } }),
+// which incremental syncs use to place changed files.
+async function listFolderFiles(drive, source, localRoot, folders, folderId = source.folderId, folderPath = '') {
+    folders[folderId] = {
+        source: source.folderId,
+        localPath: toLocalPath([...localRoot.split('/'), ...folderPath.split('/')]),
+        relativePath: folderPath
+    };
+    const files = [];
+    const subfolders = [];
+    let pageToken;
+    do {
         const res = await drive.files.list({
-            q: `'${folderId}' in parents and (mimeType = 'application/pdf' or mimeType = 'application/json') and trashed = false`,
-            fields: 'files(id, name, modifiedTime, mimeType)',
+            q: `'${folderId}' in parents and (mimeType = 'application/pdf' or mimeType = 'application/json' or mimeType = '${FOLDER_MIME_TYPE}') and trashed = false`,
+            fields: 'nextPageToken, files(id, name, modifiedTime, mimeType, md5Checksum)',
+            pageSize: 1000,
+            pageToken,
             supportsAllDrives: true,
             includeItemsFromAllDrives: true
         });
+        for (const file of res.data.files || []) {
+            const relativePath = folderPath ? `${folderPath}/${file.name}` : file.name;
+            if (file.mimeType === FOLDER_MIME_TYPE) {
+                if (!matchesAny(source.exclude, relativePath)) subfolders.push(file);
+            } else if (isIncluded(source, relativePath, file.mimeType)) {
+                files.push({ ...file, folderPath, parentId: folderId });
+            }
+        }
+        pageToken = res.data.nextPageToken;
+    } while (pageToken);
 
-        const files = res.data.files;
-        if (!files || files.length === 0) {
-            logFn('Drive Sync: No matching PDF/JSON files found.');
+    // Shortcuts and shared drives can make the tree cyclic
+    for (const folder of subfolders) {
+        if (folders[folder.id]) continue;
+        files.push(...await listFolderFiles(drive, source, localRoot, folders, folder.id, folderPath ? `${folderPath}/${folder.name}` : folder.name));
+    }
+    return files;
+}
 
-            // DIAGNOSTIC 1: Check if ANY files exist in the target folder
-            try {
-                logFn('Drive Sync Diagnostic: Checking for ANY files in target folder...');
-                const diagRes = await drive.files.list({
-                    q: `'${folderId}' in parents and trashed = false`,
-                    fields: 'files(id, name, mimeType)',
-                    pageSize: 5,
-                    supportsAllDrives: true,
-                    includeItemsFromAllDrives: true
-                });
-                const diagFiles = diagRes.data.files;
-                if (diagFiles && diagFiles.length > 0) {
-                    logFn(`Drive Sync Diagnostic: Found ${diagFiles.length} files in folder (ignoring filter):`);
-                    diagFiles.forEach(f => logFn(` - ${f.name} (${f.mimeType})`));
-                } else {
-                    logFn('Drive Sync Diagnostic: Target folder appears completely empty to this account.');
-
-                    // DIAGNOSTIC 2: Check GLOBAL visibility (Did we share the wrong folder?)
-                    logFn('Drive Sync Diagnostic: Checking GLOBAL file visibility...');
-                    const globalRes = await drive.files.list({
-                        q: "trashed = false",
-                        fields: 'files(id, name, parents)',
-                        pageSize: 5,
-                        supportsAllDrives: true,
-                        includeItemsFromAllDrives: true
-                    });
-                    const globalFiles = globalRes.data.files;
-                    if (globalFiles && globalFiles.length > 0) {
-                        logFn(`Drive Sync Diagnostic: Found ${globalFiles.length} files globally accessible:`);
-                        globalFiles.forEach(f => {
-                            const parentId = f.parents ? f.parents[0] : 'No Parent';
-                            logFn(` - ${f.name} (Parent ID: ${parentId})`);
-                            if (parentId !== folderId) {
-                                logFn(`   ^^ WARNING: Parent ID ${parentId} does NOT match configured folder ID ${folderId}`);
-                            }
-                        });
-                    } else {
-                        logFn('Drive Sync Diagnostic: This Service Account cannot see ANY files anywhere. Sharing definitely failed.');
+// Why a source folder lists no files: a sharing problem or a wrong folder id, usually
+async function logEmptyFolderDiagnostics(drive, folderId, logFn) {
+    // DIAGNOSTIC 1: Check if ANY files exist in the target folder
+    try {
+        logFn('Drive Sync Diagnostic: Checking for ANY files in target folder...');
+        const diagRes = await drive.files.list({
+            q: `'${folderId}' in parents and trashed = false`,
+            fields: 'files(id, name, mimeType)',
+            pageSize: 5,
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true
+        });
+        const diagFiles = diagRes.data.files;
+        if (diagFiles && diagFiles.length > 0) {
+            logFn(`Drive Sync Diagnostic: Found ${diagFiles.length} files in folder (ignoring filter):`);
+            diagFiles.forEach(f => logFn(` - ${f.name} (${f.mimeType})`));
+        } else {
+            logFn('Drive Sync Diagnostic: Target folder appears completely empty to this account.');
+
+            // DIAGNOSTIC 2: Check GLOBAL visibility (Did we share the wrong folder?)
+            logFn('Drive Sync Diagnostic: Checking GLOBAL file visibility...');
+            const globalRes = await drive.files.list({
+                q: "trashed = false",
+                fields: 'files(id, name, parents)',
+                pageSize: 5,
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true
+            });
+            const globalFiles = globalRes.data.files;
+            if (globalFiles && globalFiles.length > 0) {
+                logFn(`Drive Sync Diagnostic: Found ${globalFiles.length} files globally accessible:`);
+                globalFiles.forEach(f => {
+                    const parentId = f.parents ? f.parents[0] : 'No Parent';
+                    logFn(` - ${f.name} (Parent ID: ${parentId})`);
+                    if (parentId !== folderId) {
+                        logFn(`   ^^ WARNING: Parent ID ${parentId} does NOT match configured folder ID ${folderId}`);
                     }
-                }
-            } catch (diagErr) {
-                logFn(`Drive Sync Diagnostic Error: ${diagErr.message}`);
+                });
+            } else {
+                logFn('Drive Sync Diagnostic: This Service Account cannot see ANY files anywhere. Sharing definitely failed.');
             }
+        }
+    } catch (diagErr) {
+        logFn(`Drive Sync Diagnostic Error: ${diagErr.message}`);
+    }
+}
+
+function getChangeStatePath(dataDir) {
+    return path.join(dataDir, 'drive_changes.json');
+}
 
-            return;
+// Incremental sync state: { startPageToken, sourcesKey, folders, channel }
+function loadChangeState(dataDir) {
+    const statePath = getChangeStatePath(dataDir);
+    if (fs.existsSync(statePath)) {
+        try {
+            return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        } catch (err) {
+            console.error('Error reading drive_changes.json:', err);
         }
+    }
+    return {};
+}
+
+function saveChangeState(dataDir, state) {
+    fs.writeFileSync(getChangeStatePath(dataDir), JSON.stringify(state, null, 2));
+}
 
-        const downloaded = loadDownloadedFiles(downloadDir);
-        let newFilesCount = 0;
+function removeRecord(run, id) {
+    const record = run.downloaded[id];
+    run.logFn(`Drive Sync: ${record.name} was removed from Drive`);
+    run.changes.removed.push(record.name);
+    delete run.downloaded[id];
+}
+
+// Download a new or modified file to its local name and keep its record up to date.
+// A known file under a different name was renamed or moved on Drive.
+async function applyDriveFile(run, file, name, sourceId) {
+    const { drive, downloaded, idsByName, changes, downloadDir, logFn } = run;
+
+    // Drive allows several files with the same name in one folder
+    if (idsByName[name] && idsByName[name] !== file.id) {
+        logFn(`Drive Sync: Skipping a second file named ${name}`);
+        return;
+    }
+    idsByName[name] = file.id;
+    if (file.mimeType === 'application/pdf') {
+        changes.folders[name] = path.posix.dirname(name) === '.' ? '' : path.posix.dirname(name);
+    }
+
+    const record = downloaded[file.id];
+    if (record && record.name !== name) {
+        logFn(`Drive Sync: ${record.name} was renamed or moved to ${name}`);
+        changes.renamed.push({ from: record.name, to: name });
+        if (idsByName[record.name] === file.id) delete idsByName[record.name];
+        record.name = name;
+    }
+    if (record) {
+        record.parentId = file.parentId;
+        record.source = sourceId;
+    }
+    if (record && !isModifiedOnDrive(record, file)) return;
+
+    logFn(`Drive Sync: ${record ? 'Re-downloading modified' : 'Downloading'} ${name}...`);
+    const destPath = path.join(downloadDir, ...name.split('/'));
+
+    try {
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        await downloadFile(drive, file.id, destPath);
+        downloaded[file.id] = {
+            name,
+            parentId: file.parentId,
+            source: sourceId,
+            downloadedAt: new Date().toISOString(),
+            driveModifiedTime: file.modifiedTime,
+            md5Checksum: file.md5Checksum
+        };
+        (record ? changes.modified : changes.added).push(name);
+        logFn(`Drive Sync: Downloaded ${name}`);
+    } catch (err) {
+        logFn(`Drive Sync: Error downloading ${name}: ${err.message}`);
+    }
+}
+
+// List every source folder completely. Returns { folders, complete }; complete is false when
+// a source could not be listed, in which case its files are not treated as removed.
+async function listAllSources(run) {
+    const { drive, sources, downloaded, logFn } = run;
+    const folders = {};
+    const seenIds = new Set();
+    const listedSources = new Set();
+    run.idsByName = {};
+
+    for (const source of sources) {
+        if (folders[source.folderId]) {
+            logFn(`Drive Sync: Folder ${source.folderId} is already synced as part of another source, skipping`);
+            listedSources.add(source.folderId);
+            continue;
+        }
+
+        let localRoot = source.path;
+        let files;
+        try {
+            if (localRoot === null) {
+                localRoot = '';
+                if (sources.length > 1) {
+                    const folder = await drive.files.get({ fileId: source.folderId, fields: 'name', supportsAllDrives: true });
+                    localRoot = toLocalPath([folder.data.name]);
+                }
+            }
+            files = await listFolderFiles(drive, source, localRoot, folders);
+        } catch (err) {
+            logFn(`Drive Sync: Error listing folder ${source.folderId}: ${err.message}`);
+            continue;
+        }
+
+        if (files.length === 0) {
+            // Deliberately no removal handling here: an empty listing is far more often a sharing problem than an empty folder
+            logFn(`Drive Sync: No matching PDF/JSON files found in folder ${source.folderId}.`);
+            await logEmptyFolderDiagnostics(drive, source.folderId, logFn);
+            continue;
+        }
+        listedSources.add(source.folderId);
 
         for (const file of files) {
-            // Check if we need to download (if not downloaded or if modified on Drive)
-            // For simplicity, we just check if ID is in record. 
-            if (!downloaded[file.id]) {
-                logFn(`Drive Sync: Downloading ${file.name}...`);
-                const destPath = path.join(downloadDir, file.name);
-
-                try {
-                    await downloadFile(drive, file.id, destPath);
-                    downloaded[file.id] = {
-                        name: file.name,
-                        downloadedAt: new Date().toISOString(),
-                        driveModifiedTime: file.modifiedTime
-                    };
-                    newFilesCount++;
-                    logFn(`Drive Sync: Downloaded ${file.name}`);
-                } catch (err) {
-                    logFn(`Drive Sync: Error downloading ${file.name}: ${err.message}`);
+            if (seenIds.has(file.id)) continue;
+            seenIds.add(file.id);
+            const name = toLocalPath([...localRoot.split('/'), ...file.folderPath.split('/'), file.name]);
+            await applyDriveFile(run, file, name, source.folderId);
+        }
+    }
+
+    // Records from before multi-folder sync have no source; they came from the first folder
+    const configured = new Set(sources.map(source => source.folderId));
+    for (const [id, record] of Object.entries(downloaded)) {
+        const source = record.source || sources[0].folderId;
+        if (seenIds.has(id) || (configured.has(source) && !listedSources.has(source))) continue;
+        removeRecord(run, id);
+    }
+
+    return { folders, complete: listedSources.size === sources.length };
+}
+
+// Read Drive's change log since state.startPageToken and apply the changes to synced files.
+// Returns { newStartPageToken, applied }; applied is false when folders inside the synced trees
+// were created, renamed, moved or removed, which needs a full listing instead.
+async function applyChangeLog(run, state) {
+    const { drive, sources, downloaded } = run;
+    const entries = [];
+    let pageToken = state.startPageToken;
+    let newStartPageToken = null;
+    while (pageToken) {
+        const res = await drive.changes.list({
+            pageToken,
+            fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, modifiedTime, md5Checksum, parents, trashed))',
+            pageSize: 1000,
+            spaces: 'drive',
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true
+        });
+        entries.push(...(res.data.changes || []));
+        pageToken = res.data.nextPageToken;
+        newStartPageToken = res.data.newStartPageToken || newStartPageToken;
+    }
+
+    const inSyncedTree = file => (file.parents || []).some(id => state.folders[id]);
+    const structureChanged = entries.some(({ fileId, file }) =>
+        (state.folders[fileId] && (!file || file.mimeType === FOLDER_MIME_TYPE)) ||
+        (file && file.mimeType === FOLDER_MIME_TYPE && inSyncedTree(file)));
+    if (structureChanged) return { newStartPageToken, applied: false };
+
+    run.idsByName = {};
+    for (const [id, record] of Object.entries(downloaded)) run.idsByName[record.name] = id;
+
+    for (const { fileId, removed, file } of entries) {
+        if (removed || !file || file.trashed) {
+            if (downloaded[fileId]) removeRecord(run, fileId);
+            continue;
+        }
+        if (!SYNCED_MIME_TYPES.includes(file.mimeType)) continue;
+
+        const parentId = (file.parents || []).find(id => state.folders[id]);
+        const folder = parentId ? state.folders[parentId] : null;
+        const source = folder ? sources.find(other => other.folderId === folder.source) : null;
+        const relativePath = folder && folder.relativePath ? `${folder.relativePath}/${file.name}` : file.name;
+        if (!source || !isIncluded(source, relativePath, file.mimeType)) {
+            // Moved out of the synced folders, or no longer matching the patterns
+            if (downloaded[fileId]) removeRecord(run, fileId);
+            continue;
+        }
+        await applyDriveFile(run, { ...file, parentId }, toLocalPath([...folder.localPath.split('/'), file.name]), source.folderId);
+    }
+    return { newStartPageToken, applied: true };
+}
+
+// Mirror the source folder trees into downloadDir, each below its source `path`, so files with the
+// same name in different folders don't collide. New and modified files are downloaded here; renamed,
+// moved and removed files are only reported, since the caller owns the local results.
+// File names are paths relative to downloadDir ('Work/Projects/report.pdf').
+// After a first full listing, syncs read Drive's change log (changes.list) from the saved start page
+// token instead of listing every folder again; `full` forces a listing.
+// Returns { added, modified, renamed: [{ from, to }], removed } as lists of file names, plus
+// folders: { [pdfName]: local folder path } for every PDF synced (all of them after a full listing).
+async function syncDriveFiles(sources, downloadDir, logFn = console.log, { full = false } = {}) {
+    const changes = { added: [], modified: [], renamed: [], removed: [], folders: {} };
+    if (sources.length === 0) {
+        logFn("Drive Sync: No source folders configured. Skipping.");
+        return changes;
+    }
+
+    logFn("Drive Sync: Checking for new files...");
+    try {
+        const drive = await getDriveClient();
+        const state = loadChangeState(downloadDir);
+        const sourcesKey = JSON.stringify(sources);
+        const run = { drive, sources, downloaded: loadDownloadedFiles(downloadDir), changes, downloadDir, logFn };
+
+        let startPageToken = null;
+        if (!full && state.startPageToken && state.sourcesKey === sourcesKey) {
+            try {
+                const { newStartPageToken, applied } = await applyChangeLog(run, state);
+                if (applied) {
+                    state.startPageToken = newStartPageToken;
+                } else {
+                    logFn('Drive Sync: Folders changed on Drive, listing all files');
+                    startPageToken = newStartPageToken;
                 }
+            } catch (err) {
+                // An expired or unknown page token; start over from a full listing
+                const status = Number(err.status || err.code || (err.response && err.response.status));
+                if (![400, 404, 410].includes(status)) throw err;
+                logFn(`Drive Sync: Change log unavailable (${err.message}), listing all files`);
+                state.startPageToken = null;
+            }
+        } else {
+            state.startPageToken = null;
+        }
+
+        if (!state.startPageToken || startPageToken) {
+            // Take the token before listing, so changes made during the listing are read next time
+            if (!startPageToken) {
+                const res = await drive.changes.getStartPageToken({ supportsAllDrives: true });
+                startPageToken = res.data.startPageToken;
             }
+            const { folders, complete } = await listAllSources(run);
+            // A source that could not be listed has to be listed again next time
+            Object.assign(state, complete
+                ? { startPageToken, sourcesKey, folders }
+                : { startPageToken: null, sourcesKey: null, folders: {} });
         }
 
-        if (newFilesCount > 0) {
-            saveDownloadedFiles(downloadDir, downloaded);
-            logFn(`Drive Sync: Downloaded ${newFilesCount} new files.`);
+        saveDownloadedFiles(downloadDir, run.downloaded);
+        saveChangeState(downloadDir, state);
+        const changeCount = changes.added.length + changes.modified.length + changes.renamed.length + changes.removed.length;
+        if (changeCount > 0) {
+            logFn(`Drive Sync: ${changes.added.length} new, ${changes.modified.length} modified, ${changes.renamed.length} renamed, ${changes.removed.length} removed.`);
         } else {
-            logFn("Drive Sync: No new files to download.");
+            logFn("Drive Sync: No changes on Drive.");
         }
 
     } catch (error) {
@@ -181,9 +575,65 @@ async function syncDriveFiles(folderIdRaw, downloadDir, logFn = console.log) {
             logFn(`Drive Sync Error Details: ${JSON.stringify(error.response.data)}`);
         }
     }
+    return changes;
 }
 
-async function uploadSummaryToDrive(folderId, originalFileName, analysisText, logFn = console.log) {
+const WATCH_TTL_MS = 7 * 24 * 60 * 60 * 1000; // The longest Drive allows for changes.watch
+const WATCH_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+// Keep a changes.watch channel sending push notifications to DRIVE_WEBHOOK_URL (a public https URL
+// of POST /api/drive/webhook), replacing it a day before it expires or when the URL changes.
+// Needs a completed sync first. Returns the channel, or null when webhooks are not configured.
+async function ensureChangesWatch(downloadDir, logFn = console.log) {
+    const address = process.env.DRIVE_WEBHOOK_URL;
+    const state = loadChangeState(downloadDir);
+    if (!address || !state.startPageToken) return null;
+
+    const current = state.channel;
+    if (current && current.address === address && current.expiration - Date.now() > WATCH_RENEW_BEFORE_MS) {
+        return current;
+    }
+
+    const drive = await getDriveClient();
+    if (current) {
+        try {
+            await drive.channels.stop({ requestBody: { id: current.id, resourceId: current.resourceId } });
+        } catch (err) {
+            logFn(`Drive Sync: Could not stop the previous watch channel: ${err.message}`);
+        }
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const res = await drive.changes.watch({
+        pageToken: state.startPageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        requestBody: { id: crypto.randomUUID(), type: 'web_hook', address, token, expiration: String(Date.now() + WATCH_TTL_MS) }
+    });
+    state.channel = {
+        id: res.data.id,
+        resourceId: res.data.resourceId,
+        expiration: Number(res.data.expiration) || Date.now() + WATCH_TTL_MS,
+        address,
+        token
+    };
+    saveChangeState(downloadDir, state);
+    logFn(`Drive Sync: Watching Drive for changes until ${new Date(state.channel.expiration).toISOString()}`);
+    return state.channel;
+}
+
+// Whether a push notification comes from the current channel (X-Goog-Channel-ID / X-Goog-Channel-Token)
+function isCurrentChannel(downloadDir, channelId, token) {
+    const { channel } = loadChangeState(downloadDir);
+    if (!channel || channel.id !== channelId || typeof token !== 'string') return false;
+    const expected = Buffer.from(channel.token);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Without `options` the analysis text is written as <name>_notebook_summary.txt; exports pass
+// their own { fileName, mimeType } and a string or Buffer as content.
+async function uploadSummaryToDrive(folderId, originalFileName, content, logFn = console.log, options = {}) {
     if (!folderId) {
         throw new Error('Drive Folder ID not provided');
     }
@@ -191,22 +641,22 @@ async function uploadSummaryToDrive(folderId, originalFileName, analysisText, lo
     logFn(`Uploading summary for ${originalFileName} to Drive...`);
 
     try {
-        const authClient = await authenticate();
-        const drive = google.drive({ version: 'v3', auth: authClient });
+        const drive = await getDriveClient();
 
         // Create filename with "_notebook_summary" suffix
         const baseName = path.basename(originalFileName, path.extname(originalFileName));
-        const summaryFileName = `${baseName}_notebook_summary.txt`;
+        const summaryFileName = options.fileName || `${baseName}_notebook_summary.txt`;
+        const mimeType = options.mimeType || 'text/plain';
 
         const fileMetadata = {
             name: summaryFileName,
             parents: [folderId],
-            mimeType: 'text/plain'
+            mimeType
         };
 
         const media = {
-            mimeType: 'text/plain',
-            body: analysisText
+            mimeType,
+            body: Buffer.isBuffer(content) ? Readable.from(content) : content
         };
 
         const response = await drive.files.create({
@@ -231,25 +681,35 @@ async function uploadFileToDrive(folderId, filePath, mimeType = 'application/jso
     logFn(`Uploading ${fileName} to Drive...`);
 
     try {
-        const authClient = await authenticate();
-        const drive = google.drive({ version: 'v3', auth: authClient });
-
-        const fileMetadata = {
-            name: fileName,
-            parents: [folderId]
-        };
+        const drive = await getDriveClient();
 
         const media = {
             mimeType: mimeType,
             body: fs.createReadStream(filePath)
         };
 
-        const response = await drive.files.create({
-            requestBody: fileMetadata,
-            media: media,
-            fields: 'id, name',
-            supportsAllDrives: true
+        // Replace the content of an existing file with the same name instead of adding a duplicate
+        const existing = await drive.files.list({
+            q: `'${folderId}' in parents and name = '${fileName.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}' and trashed = false`,
+            fields: 'files(id)',
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true
         });
+        const existingId = existing.data.files && existing.data.files.length > 0 ? existing.data.files[0].id : null;
+
+        const response = existingId
+            ? await drive.files.update({
+                fileId: existingId,
+                media: media,
+                fields: 'id, name, modifiedTime, md5Checksum, parents',
+                supportsAllDrives: true
+            })
+            : await drive.files.create({
+                requestBody: { name: fileName, parents: [folderId] },
+                media: media,
+                fields: 'id, name, modifiedTime, md5Checksum, parents',
+                supportsAllDrives: true
+            });
 
         logFn(`Successfully uploaded: ${response.data.name} (ID: ${response.data.id})`);
         return response.data;
@@ -259,46 +719,80 @@ async function uploadFileToDrive(folderId, filePath, mimeType = 'application/jso
     }
 }
 
-async function deleteFileFromDrive(folderIdRaw, fileName, logFn = console.log) {
+// Move files with this name in the folder to Drive's trash (recoverable there for 30 days).
+// Returns the trashed files ([{ id, name }]) so they can be restored or purged later.
+async function trashFileOnDrive(folderIdRaw, fileName, logFn = console.log) {
     const folderId = folderIdRaw ? folderIdRaw.trim() : null;
     if (!folderId) throw new Error('Drive Folder ID not provided');
 
-    logFn(`Attempting to delete ${fileName} from Drive...`);
+    logFn(`Moving ${fileName} to the Drive trash...`);
 
     try {
-        const authClient = await authenticate();
-        const drive = google.drive({ version: 'v3', auth: authClient });
+        const drive = await getDriveClient();
 
         // Find file by name
         const res = await drive.files.list({
-            q: `'${folderId}' in parents and name = '${fileName}' and trashed = false`,
+            q: `'${folderId}' in parents and name = '${fileName.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}' and trashed = false`,
             fields: 'files(id, name)',
             supportsAllDrives: true,
             includeItemsFromAllDrives: true
         });
 
-        const files = res.data.files;
-        if (!files || files.length === 0) {
+        const files = res.data.files || [];
+        if (files.length === 0) {
             logFn(`File ${fileName} not found in Drive.`);
-            return false;
+            return [];
         }
 
-        // Delete all matches (though usually should be one)
+        // Trash all matches (though usually should be one)
         for (const file of files) {
-            await drive.files.delete({
+            await drive.files.update({
                 fileId: file.id,
+                requestBody: { trashed: true },
                 supportsAllDrives: true
             });
-            logFn(`Deleted ${fileName} (ID: ${file.id}) from Drive.`);
+            logFn(`Trashed ${fileName} (ID: ${file.id}) on Drive.`);
         }
-        return true;
+        return files.map(file => ({ id: file.id, name: file.name }));
 
     } catch (error) {
-        logFn(`Error deleting file from Drive: ${error.message}`);
+        logFn(`Error trashing file on Drive: ${error.message}`);
         throw error;
     }
 }
 
+// Take a file out of Drive's trash. Returns its metadata, or null when Drive no longer has it.
+async function restoreFileOnDrive(fileId, logFn = console.log) {
+    const drive = await getDriveClient();
+    try {
+        const response = await drive.files.update({
+            fileId,
+            requestBody: { trashed: false },
+            fields: 'id, name, modifiedTime, md5Checksum, parents',
+            supportsAllDrives: true
+        });
+        logFn(`Restored ${response.data.name} (ID: ${fileId}) from the Drive trash.`);
+        return response.data;
+    } catch (error) {
+        if (Number(error.status || error.code) === 404) {
+            logFn(`Drive file ${fileId} is gone (trash emptied?), restoring locally only.`);
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Delete a trashed file for good, when its trash entry is purged here
+async function deleteTrashedFileOnDrive(fileId, logFn = console.log) {
+    const drive = await getDriveClient();
+    try {
+        await drive.files.delete({ fileId, supportsAllDrives: true });
+        logFn(`Deleted Drive file ${fileId} permanently.`);
+    } catch (error) {
+        if (Number(error.status || error.code) !== 404) throw error;
+    }
+}
+
 async function checkDriveAccess(folderIdRaw, logFn = console.log) {
     const folderId = folderIdRaw ? folderIdRaw.trim() : null;
     const result = {
@@ -391,4 +885,19 @@ async function checkDriveAccess(folderIdRaw, logFn = console.log) {
     return result;
 }
 
-module.exports = { syncDriveFiles, uploadSummaryToDrive, uploadFileToDrive, deleteFileFromDrive, checkDriveAccess };
+module.exports = {
+    getDriveSources,
+    isIncluded,
+    syncDriveFiles,
+    ensureChangesWatch,
+    isCurrentChannel,
+    uploadSummaryToDrive,
+    uploadFileToDrive,
+    trashFileOnDrive,
+    restoreFileOnDrive,
+    deleteTrashedFileOnDrive,
+    checkDriveAccess,
+    markFileAsDownloaded,
+    getDriveFileIds,
+    getDriveFolderFor
+};
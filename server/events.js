@@ -0,0 +1,47 @@
+// Server-Sent Events: every connected dashboard receives the same broadcast stream
+const clients = new Map(); // response -> signed-in user
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+function addClient(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies (nginx) from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    clients.set(res, req.user || null);
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+}
+
+// data may be a function of the user for events whose content depends on who is watching;
+// clients it returns undefined for don't get the event
+function broadcast(type, data) {
+    if (clients.size === 0) return;
+    const format = value => `event: ${type}\ndata: ${JSON.stringify(value)}\n\n`;
+    const payload = typeof data === 'function' ? null : format(data);
+    for (const [res, user] of clients) {
+        if (payload) {
+            res.write(payload);
+            continue;
+        }
+        const value = data(user);
+        if (value !== undefined) res.write(format(value));
+    }
+}
+
+function clientCount() {
+    return clients.size;
+}
+
+module.exports = { addClient, broadcast, clientCount };
@@ -0,0 +1,339 @@
+const path = require('path');
+const archiver = require('archiver');
+const docx = require('docx');
+const { SECTION_ROLES, getTemplate, getDefaultTemplateId } = require('./promptTemplates');
+const { FIELD_FOR_ROLE, FIGURES_TITLE } = require('./structuredAnalysis');
+const { loadMupdf } = require('./pageImages');
+
+// Downloadable reports of an analysis plus the reader's own notes and highlights.
+// Every format is rendered from the same intermediate report, see buildReport.
+
+const EXPORT_FORMATS = {
+    md: { suffix: '_analysis.md', mimeType: 'text/markdown; charset=utf-8' },
+    html: { suffix: '_analysis.html', mimeType: 'text/html; charset=utf-8' },
+    docx: { suffix: '_analysis.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    pdf: { suffix: '_analysis.pdf', mimeType: 'application/pdf' },
+    anki: { suffix: '_anki.txt', mimeType: 'text/plain; charset=utf-8' }
+};
+
+// --- Intermediate report ---
+
+function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toISOString().substring(0, 16).replace('T', ' ');
+}
+
+// { title, meta: [line], sections: [{ title, paragraph?, items?: [{ label?, text, page }] }], note, highlights: [{ section, text }] }
+// Sections keep the order of the dashboard, so highlight section indices point at the right title.
+function buildReport(record, annotations = {}) {
+    const template = getTemplate(record.template) || getTemplate(getDefaultTemplateId());
+    const titles = SECTION_ROLES.map(role => template.sections[role][0]);
+    const data = record.structured;
+
+    let sections;
+    if (data) {
+        const items = (list, map) => (list || []).map(map);
+        sections = [
+            { title: titles[0], paragraph: data.summary || 'None identified.' },
+            { title: titles[1], items: items(data[FIELD_FOR_ROLE.keyPoints], item => ({ text: item.text, page: item.page })) },
+            {
+                title: titles[2],
+                items: items(data[FIELD_FOR_ROLE.actionItems], item => {
+                    const details = [item.owner ? `owner: ${item.owner}` : null, item.dueDate ? `due: ${item.dueDate}` : null].filter(Boolean);
+                    return { text: item.text + (details.length ? ` [${details.join(', ')}]` : ''), page: item.page };
+                })
+            },
+            { title: titles[3], items: items(data[FIELD_FOR_ROLE.terminology], item => ({ label: item.term, text: item.definition, page: item.page })) },
+            { title: titles[4], items: items(data[FIELD_FOR_ROLE.openQuestions], item => ({ text: item.text, page: item.page })) }
+        ];
+        if (data.figures && data.figures.length > 0) {
+            sections.push({ title: FIGURES_TITLE, items: data.figures.map(item => ({ label: item.kind, text: item.description, page: item.page })) });
+        }
+    } else {
+        sections = [{ title: 'Analysis', paragraph: record.analysis || '' }];
+    }
+
+    const meta = [
+        `Processed: ${formatDate(record.timestamp)}`,
+        record.sources ? `${record.modeLabel || 'Synthesis'} of: ${record.sources.join(', ')}` : null,
+        record.templateLabel ? `Template: ${record.templateLabel}` : null,
+        record.pageCount ? `Pages: ${record.pageCount}` : null,
+        record.model ? `Model: ${record.provider ? `${record.provider}/` : ''}${record.model}` : null
+    ].filter(Boolean);
+
+    return {
+        title: record.title || record.name,
+        meta,
+        sections,
+        note: annotations.note || '',
+        highlights: (annotations.highlights || []).map(h => ({
+            section: sections[h.section] ? sections[h.section].title : null,
+            text: h.text
+        }))
+    };
+}
+
+const pageSuffix = item => item.page ? ` (p. ${item.page})` : '';
+
+// --- Markdown ---
+
+function renderMarkdown(report) {
+    const lines = [`# ${report.title}`, '', ...report.meta.map(line => `*${line}*  `), ''];
+    for (const section of report.sections) {
+        lines.push(`## ${section.title}`, '');
+        if (section.paragraph !== undefined) {
+            lines.push(section.paragraph, '');
+        } else if (section.items.length === 0) {
+            lines.push('None identified.', '');
+        } else {
+            lines.push(...section.items.map(item => `- ${item.label ? `**${item.label}**: ` : ''}${item.text}${pageSuffix(item)}`), '');
+        }
+    }
+    if (report.note) {
+        lines.push('## My Notes', '', report.note, '');
+    }
+    if (report.highlights.length > 0) {
+        lines.push('## My Highlights', '', ...report.highlights.map(h => `> ${h.text.replace(/\n/g, '\n> ')}${h.section ? `\n>\n> — ${h.section}` : ''}\n`));
+    }
+    return lines.join('\n');
+}
+
+// --- HTML (also the source of the PDF) ---
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const REPORT_CSS = `
+body { font-family: sans-serif; font-size: 11pt; line-height: 1.45; color: #2c3e50; margin: 40px; }
+h1 { font-size: 18pt; margin-bottom: 4px; }
+h2 { font-size: 13pt; border-bottom: 1px solid #dee2e6; padding-bottom: 2px; margin-top: 22px; }
+.meta { color: #7f8c8d; font-size: 9pt; }
+.page-ref { color: #7f8c8d; font-size: 9pt; }
+blockquote { border-left: 3px solid #f1c40f; margin: 8px 0; padding: 2px 10px; background: #fffbea; }
+.note { white-space: pre-wrap; }
+`;
+
+function renderHtml(report) {
+    const paragraphs = text => text.split(/\n{2,}/).map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('\n');
+    const body = report.sections.map(section => {
+        let content;
+        if (section.paragraph !== undefined) {
+            content = paragraphs(section.paragraph);
+        } else if (section.items.length === 0) {
+            content = '<p>None identified.</p>';
+        } else {
+            content = '<ul>\n' + section.items.map(item =>
+                `<li>${item.label ? `<strong>${escapeHtml(item.label)}</strong>: ` : ''}${escapeHtml(item.text)}` +
+                `${item.page ? ` <span class="page-ref">(p. ${item.page})</span>` : ''}</li>`).join('\n') + '\n</ul>';
+        }
+        return `<h2>${escapeHtml(section.title)}</h2>\n${content}`;
+    });
+
+    if (report.note) {
+        body.push(`<h2>My Notes</h2>\n<div class="note">${escapeHtml(report.note)}</div>`);
+    }
+    if (report.highlights.length > 0) {
+        body.push('<h2>My Highlights</h2>\n' + report.highlights.map(h =>
+            `<blockquote>${escapeHtml(h.text)}${h.section ? `<br><span class="page-ref">— ${escapeHtml(h.section)}</span>` : ''}</blockquote>`).join('\n'));
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<div class="meta">${report.meta.map(escapeHtml).join(' · ')}</div>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- PDF: the HTML report laid out by MuPDF on A4 pages ---
+
+async function renderPdf(report) {
+    const mupdf = await loadMupdf();
+    const source = mupdf.Document.openDocument(Buffer.from(renderHtml(report)), 'text/html');
+    source.layout(595, 842, 11);
+
+    const output = new mupdf.Buffer();
+    const writer = new mupdf.DocumentWriter(output, 'pdf', '');
+    try {
+        for (let i = 0; i < source.countPages(); i++) {
+            const page = source.loadPage(i);
+            const device = writer.beginPage(page.getBounds());
+            page.run(device, mupdf.Matrix.identity);
+            writer.endPage();
+            page.destroy();
+        }
+        writer.close();
+        return Buffer.from(output.asUint8Array());
+    } finally {
+        source.destroy();
+    }
+}
+
+// --- DOCX ---
+
+async function renderDocx(report) {
+    const { Document, Packer, Paragraph, TextRun, HeadingLevel } = docx;
+    const children = [
+        new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+        new Paragraph({ children: [new TextRun({ text: report.meta.join(' · '), italics: true, color: '7F8C8D', size: 18 })] })
+    ];
+    const heading = text => new Paragraph({ text, heading: HeadingLevel.HEADING_2, spacing: { before: 240 } });
+    const textParagraphs = text => text.split(/\n{2,}/).map(p => new Paragraph({ text: p.replace(/\n/g, ' ') }));
+
+    for (const section of report.sections) {
+        children.push(heading(section.title));
+        if (section.paragraph !== undefined) {
+            children.push(...textParagraphs(section.paragraph));
+        } else if (section.items.length === 0) {
+            children.push(new Paragraph({ text: 'None identified.' }));
+        } else {
+            for (const item of section.items) {
+                children.push(new Paragraph({
+                    bullet: { level: 0 },
+                    children: [
+                        ...(item.label ? [new TextRun({ text: `${item.label}: `, bold: true })] : []),
+                        new TextRun(item.text),
+                        ...(item.page ? [new TextRun({ text: ` (p. ${item.page})`, color: '7F8C8D' })] : [])
+                    ]
+                }));
+            }
+        }
+    }
+    if (report.note) {
+        children.push(heading('My Notes'), ...report.note.split('\n').map(line => new Paragraph({ text: line })));
+    }
+    if (report.highlights.length > 0) {
+        children.push(heading('My Highlights'));
+        for (const h of report.highlights) {
+            children.push(new Paragraph({
+                indent: { left: 360 },
+                children: [
+                    new TextRun({ text: h.text, italics: true }),
+                    ...(h.section ? [new TextRun({ text: ` — ${h.section}`, color: '7F8C8D' })] : [])
+                ]
+            }));
+        }
+    }
+
+    const document = new Document({
+        title: report.title,
+        sections: [{ children }]
+    });
+    return Packer.toBuffer(document);
+}
+
+// --- Anki: tab-separated notes with file headers, imported via File > Import ---
+// Terms become Basic cards (term -> definition). Key points become Cloze cards when they
+// mention a glossary term, otherwise Basic cards asking for the point on that page.
+
+// Fields are HTML already; only tabs, quotes and line breaks need care
+function ankiField(html) {
+    html = html.replace(/\n/g, '<br>');
+    return /[\t"]/.test(html) ? `"${html.replace(/"/g, '""')}"` : html;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ankiTag(text) {
+    return text.replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
+}
+
+function ankiNotes(record) {
+    const data = record.structured;
+    if (!data) return [];
+
+    const deck = `Notebook Analyses::${path.basename(record.name, path.extname(record.name)).replace(/::/g, ':')}`;
+    const tag = ankiTag(path.basename(record.name, path.extname(record.name)));
+    const source = item => `${record.name}${pageSuffix(item)}`;
+    const terms = (data.glossary || []).filter(item => item.term && item.definition);
+    const notes = terms.map(item => ['Basic', deck, escapeHtml(item.term), `${escapeHtml(item.definition)}<br><small>${escapeHtml(source(item))}</small>`, tag]);
+
+    for (const point of data.keyPoints || []) {
+        const term = terms.find(t => new RegExp(`\\b${escapeRegExp(t.term)}\\b`, 'i').test(point.text));
+        if (term) {
+            const cloze = escapeHtml(point.text).replace(new RegExp(`\\b(${escapeRegExp(escapeHtml(term.term))})\\b`, 'i'), '{{c1::$1}}');
+            notes.push(['Cloze', deck, cloze, escapeHtml(source(point)), tag]);
+        } else {
+            notes.push(['Basic', deck, `Key point from ${escapeHtml(source(point))}`, escapeHtml(point.text), tag]);
+        }
+    }
+    return notes;
+}
+
+// Several records can share one file, as in the library export
+function renderAnki(records) {
+    const header = ['#separator:tab', '#html:true', '#notetype column:1', '#deck column:2', '#tags column:5'];
+    const rows = records.flatMap(ankiNotes).map(note => note.map(ankiField).join('\t'));
+    return [...header, ...rows].join('\n') + '\n';
+}
+
+// --- Entry points ---
+
+// Own keys only, so query values such as "constructor" or "__proto__" are rejected
+function isExportFormat(format) {
+    return typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format);
+}
+
+function exportFileName(fileName, format) {
+    return path.basename(fileName, path.extname(fileName)) + EXPORT_FORMATS[format].suffix;
+}
+
+// Returns { fileName, mimeType, content (string or Buffer) }. Throws for an unknown format.
+async function exportResult(record, annotations, format) {
+    if (!isExportFormat(format)) {
+        throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const report = buildReport(record, annotations);
+    const renderers = {
+        md: () => renderMarkdown(report),
+        html: () => renderHtml(report),
+        docx: () => renderDocx(report),
+        pdf: () => renderPdf(report),
+        anki: () => renderAnki([record])
+    };
+    return { fileName: exportFileName(record.name, format), mimeType: EXPORT_FORMATS[format].mimeType, content: await renderers[format]() };
+}
+
+// Stream a zip of every record in `format` to `output`. Anki exports go into one combined deck file.
+// annotationsFor(record) returns the reader's annotations of a record.
+async function exportLibrary(records, annotationsFor, format, output) {
+    if (!isExportFormat(format)) {
+        throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('close', resolve);
+        output.on('finish', resolve);
+    });
+    archive.pipe(output);
+
+    if (format === 'anki') {
+        archive.append(renderAnki(records), { name: 'library_anki.txt' });
+    } else {
+        for (const record of records) {
+            const { fileName, content } = await exportResult(record, annotationsFor(record), format);
+            // Documents from Drive subfolders keep their folder inside the archive
+            archive.append(content, { name: path.posix.join(path.posix.dirname(record.name), fileName) });
+        }
+    }
+    await archive.finalize();
+    return done;
+}
+
+module.exports = { EXPORT_FORMATS, isExportFormat, buildReport, exportResult, exportLibrary };
@@ -0,0 +1,243 @@
+// A local stand-in for the parts of the Drive v3 API that driveSync.js uses, for testing sync
+// without a Google account. Files live in memory, seeded from a directory tree.
+//
+//   node server/fakeDrive.js [seed-dir]        (FAKE_DRIVE_PORT, default 4100)
+//   DRIVE_API_URL=http://localhost:4100 DRIVE_FOLDER_ID=fake-root npm start
+//
+// Supported: files.list (parents, name, mimeType and trashed filters), files.get (metadata and
+// alt=media), files.create / files.update (metadata, multipart and media uploads; addParents /
+// removeParents to move), files.delete, changes.getStartPageToken, changes.list, changes.watch and
+// channels.stop. Every change is logged for changes.list and pushed to watch channels like Drive does.
+// For scripting there is also PUT /fake/files/<parentId>/<name> (raw body, creates or replaces)
+// and GET /fake/files (everything, with ids).
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const ROOT_ID = process.env.FAKE_DRIVE_ROOT_ID || 'fake-root';
+
+const files = {}; // id -> { id, name, mimeType, parents, modifiedTime, md5Checksum, trashed, content }
+const changeLog = []; // { fileId, removed, time }
+const channels = {}; // id -> { id, resourceId, address, token, expiration, messageNumber }
+let nextId = 1;
+
+function mimeTypeFor(name) {
+    if (name.toLowerCase().endsWith('.pdf')) return 'application/pdf';
+    if (name.toLowerCase().endsWith('.json')) return 'application/json';
+    return 'application/octet-stream';
+}
+
+function metadata(file) {
+    const { content, ...rest } = file;
+    return content ? { ...rest, size: String(content.length) } : rest;
+}
+
+// Record a change and tell every watch channel about it
+function recordChange(fileId, removed = false) {
+    changeLog.push({ fileId, removed, time: new Date().toISOString() });
+    for (const channel of Object.values(channels)) notify(channel, 'change');
+}
+
+function notify(channel, state) {
+    fetch(channel.address, {
+        method: 'POST',
+        headers: {
+            'X-Goog-Channel-ID': channel.id,
+            'X-Goog-Channel-Token': channel.token || '',
+            'X-Goog-Channel-Expiration': new Date(channel.expiration).toUTCString(),
+            'X-Goog-Resource-ID': channel.resourceId,
+            'X-Goog-Resource-State': state,
+            'X-Goog-Message-Number': String(++channel.messageNumber)
+        }
+    }).catch(err => console.error(`Fake Drive: notifying ${channel.address} failed: ${err.message}`));
+}
+
+function saveFile({ id, name, mimeType, parents, content }) {
+    const existing = id ? files[id] : null;
+    const file = existing || { id: `fake-${nextId++}`, trashed: false };
+    if (name !== undefined) file.name = name;
+    if (mimeType !== undefined) file.mimeType = mimeType;
+    if (parents !== undefined) file.parents = parents;
+    if (!file.mimeType) file.mimeType = mimeTypeFor(file.name || '');
+    if (!file.parents) file.parents = [ROOT_ID];
+    if (content !== undefined) {
+        file.content = content;
+        file.md5Checksum = crypto.createHash('md5').update(content).digest('hex');
+    }
+    file.modifiedTime = new Date().toISOString();
+    files[file.id] = file;
+    recordChange(file.id);
+    return file;
+}
+
+function seed(dir, parentId) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const folder = saveFile({ name: entry.name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] });
+            seed(entryPath, folder.id);
+        } else {
+            saveFile({ name: entry.name, parents: [parentId], content: fs.readFileSync(entryPath) });
+        }
+    }
+}
+
+// The subset of the query language driveSync.js sends
+function matchesQuery(file, q = '') {
+    const parent = q.match(/'([^']+)' in parents/);
+    if (parent && !file.parents.includes(parent[1])) return false;
+    const name = q.match(/name = '((?:[^'\\]|\\.)*)'/);
+    if (name && file.name !== name[1].replace(/\\(.)/g, '$1')) return false;
+    const mimeTypes = [...q.matchAll(/mimeType = '([^']+)'/g)].map(match => match[1]);
+    if (mimeTypes.length > 0 && !mimeTypes.includes(file.mimeType)) return false;
+    if (/trashed = false/.test(q) && file.trashed) return false;
+    return true;
+}
+
+function page(items, req) {
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 100, 1000);
+    const offset = parseInt(req.query.pageToken, 10) || 0;
+    const next = offset + pageSize < items.length ? String(offset + pageSize) : undefined;
+    return { items: items.slice(offset, offset + pageSize), next };
+}
+
+// multipart/related bodies: a JSON metadata part followed by the media part
+function parseMultipart(req) {
+    const boundary = (req.get('content-type').match(/boundary=("?)([^";]+)\1/) || [])[2];
+    const body = req.body;
+    const parts = [];
+    let start = body.indexOf(`--${boundary}`);
+    while (start !== -1) {
+        const next = body.indexOf(`--${boundary}`, start + boundary.length + 2);
+        if (next === -1) break;
+        const part = body.subarray(start + boundary.length + 2, next);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        parts.push(part.subarray(headerEnd + 4, part.length - 2)); // Drop the CRLF before the boundary
+        start = next;
+    }
+    return { meta: parts[0] ? JSON.parse(parts[0].toString('utf8') || '{}') : {}, content: parts[1] };
+}
+
+function readUpload(req) {
+    if (req.query.uploadType === 'multipart') return parseMultipart(req);
+    if (req.query.uploadType === 'media') return { meta: {}, content: req.body };
+    return { meta: Buffer.isBuffer(req.body) && req.body.length ? JSON.parse(req.body.toString('utf8')) : {}, content: undefined };
+}
+
+function movedParents(file, req, meta) {
+    let parents = meta.parents || (file ? file.parents : undefined);
+    if (req.query.addParents || req.query.removeParents) {
+        const remove = (req.query.removeParents || '').split(',');
+        parents = [...new Set([...(parents || []).filter(id => !remove.includes(id)), ...(req.query.addParents || '').split(',').filter(Boolean)])];
+    }
+    return parents;
+}
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: '200mb' }));
+
+app.get('/drive/v3/files', (req, res) => {
+    const matching = Object.values(files).filter(file => matchesQuery(file, req.query.q));
+    const { items, next } = page(matching, req);
+    res.json({ kind: 'drive#fileList', nextPageToken: next, files: items.map(metadata) });
+});
+
+app.get('/drive/v3/files/:id', (req, res) => {
+    const file = files[req.params.id];
+    if (!file) return res.status(404).json({ error: { code: 404, message: `File not found: ${req.params.id}` } });
+    if (req.query.alt === 'media') return res.type(file.mimeType).send(file.content || Buffer.alloc(0));
+    res.json(metadata(file));
+});
+
+app.post(['/drive/v3/files', '/upload/drive/v3/files'], (req, res) => {
+    const { meta, content } = readUpload(req);
+    res.json(metadata(saveFile({ name: meta.name, mimeType: meta.mimeType, parents: meta.parents, content })));
+});
+
+app.patch(['/drive/v3/files/:id', '/upload/drive/v3/files/:id'], (req, res) => {
+    const file = files[req.params.id];
+    if (!file) return res.status(404).json({ error: { code: 404, message: `File not found: ${req.params.id}` } });
+    const { meta, content } = readUpload(req);
+    if (meta.trashed !== undefined) file.trashed = !!meta.trashed;
+    res.json(metadata(saveFile({ id: file.id, name: meta.name, parents: movedParents(file, req, meta), content })));
+});
+
+app.delete('/drive/v3/files/:id', (req, res) => {
+    if (!files[req.params.id]) return res.status(404).json({ error: { code: 404, message: `File not found: ${req.params.id}` } });
+    delete files[req.params.id];
+    recordChange(req.params.id, true);
+    res.status(204).end();
+});
+
+// Page tokens are positions in the change log, starting at 1
+app.get('/drive/v3/changes/startPageToken', (req, res) => {
+    res.json({ startPageToken: String(changeLog.length + 1) });
+});
+
+app.get('/drive/v3/changes', (req, res) => {
+    const start = parseInt(req.query.pageToken, 10);
+    if (!start || start > changeLog.length + 1) {
+        return res.status(404).json({ error: { code: 404, message: 'Invalid pageToken' } });
+    }
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 100, 1000);
+    const entries = changeLog.slice(start - 1, start - 1 + pageSize);
+    const end = start + entries.length;
+    res.json({
+        kind: 'drive#changeList',
+        nextPageToken: end <= changeLog.length ? String(end) : undefined,
+        newStartPageToken: end > changeLog.length ? String(end) : undefined,
+        changes: entries.map(({ fileId, removed, time }) => ({
+            changeType: 'file',
+            fileId,
+            time,
+            removed: removed || !files[fileId],
+            file: files[fileId] ? metadata(files[fileId]) : undefined
+        }))
+    });
+});
+
+app.post('/drive/v3/changes/watch', (req, res) => {
+    const body = JSON.parse(req.body.toString('utf8') || '{}');
+    if (!body.id || !body.address) return res.status(400).json({ error: { code: 400, message: 'id and address are required' } });
+    const channel = {
+        id: body.id,
+        resourceId: crypto.randomBytes(8).toString('hex'),
+        address: body.address,
+        token: body.token,
+        expiration: Number(body.expiration) || Date.now() + 60 * 60 * 1000,
+        messageNumber: 0
+    };
+    channels[channel.id] = channel;
+    notify(channel, 'sync');
+    res.json({ kind: 'api#channel', id: channel.id, resourceId: channel.resourceId, expiration: String(channel.expiration) });
+});
+
+app.post('/drive/v3/channels/stop', (req, res) => {
+    const { id } = JSON.parse(req.body.toString('utf8') || '{}');
+    delete channels[id];
+    res.status(204).end();
+});
+
+app.put('/fake/files/:parentId/:name', (req, res) => {
+    const existing = Object.values(files).find(file => file.parents.includes(req.params.parentId) && file.name === req.params.name && !file.trashed);
+    res.json(metadata(saveFile({ id: existing && existing.id, name: req.params.name, parents: [req.params.parentId], content: req.body })));
+});
+
+app.get('/fake/files', (req, res) => {
+    res.json(Object.values(files).map(metadata));
+});
+
+if (require.main === module) {
+    files[ROOT_ID] = { id: ROOT_ID, name: 'Fake Drive', mimeType: FOLDER_MIME_TYPE, parents: [], trashed: false, modifiedTime: new Date().toISOString() };
+    if (process.argv[2]) seed(path.resolve(process.argv[2]), ROOT_ID);
+    const port = parseInt(process.env.FAKE_DRIVE_PORT, 10) || 4100;
+    app.listen(port, () => {
+        console.log(`Fake Drive API at http://localhost:${port} with ${Object.keys(files).length - 1} files; root folder id: ${ROOT_ID}`);
+    });
+}
+
+module.exports = app;
@@ -1,10 +1,10 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
 const cheerio = require('cheerio');
 const axios = require('axios');
+const multer = require('multer');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 // Only import chokidar in non-production (local dev)
@@ -26,54 +26,303 @@ if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
+// Documents are named by their path below DATA_DIR with forward slashes: 'notes.pdf',
+// 'Work/Projects/notes.pdf' for files mirrored from Drive subfolders
+function documentName(filePath) {
+    return path.relative(DATA_DIR, filePath).split(path.sep).join('/');
+}
+
+// Names that would resolve to Object.prototype members when used as keys of processedFiles
+const PROTOTYPE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function isDocumentName(name) {
+    return typeof name === 'string' && name.length > 0 && !path.isAbsolute(name) && !name.includes('\\') &&
+        !PROTOTYPE_KEYS.includes(name) &&
+        name.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+}
+
 // Store processed data in memory
 let processedFiles = {};
+
+// Own keys only: names come from URLs and request bodies, and "constructor" is no document
+function getProcessedFile(name) {
+    return Object.hasOwn(processedFiles, name) ? processedFiles[name] : undefined;
+}
+
 let driveSyncInitialized = false; // Flag to track sync status
+let driveSyncTimer = null;
 
-const { syncDriveFiles, uploadSummaryToDrive, uploadFileToDrive, deleteFileFromDrive, checkDriveAccess } = require('./driveSync');
+const { getDriveSources, syncDriveFiles, ensureChangesWatch, isCurrentChannel, uploadSummaryToDrive, uploadFileToDrive, trashFileOnDrive, restoreFileOnDrive, deleteTrashedFileOnDrive, checkDriveAccess, markFileAsDownloaded, getDriveFileIds, getDriveFolderFor } = require('./driveSync');
+const { analyzeDocument } = require('./analysis');
+const { extractDocumentText } = require('./ocr');
+const { MODES: PAGE_IMAGE_MODES, selectPageImages } = require('./pageImages');
+const { EXPORT_FORMATS, isExportFormat, exportResult, exportLibrary } = require('./exports');
+const synthesis = require('./synthesis');
+const { createJobQueue } = require('./jobQueue');
+const events = require('./events');
+const { readSidecar, removeSidecars, renameSidecars, sidecarPath } = require('./sidecars');
+const { createSearchIndex } = require('./search');
+const { answerQuestion } = require('./chat');
+const { getTemplate, getDefaultTemplateId, listTemplates } = require('./promptTemplates');
+const { markdownToStructured } = require('./structuredAnalysis');
+const tasks = require('./tasks');
+const library = require('./library');
+const trash = require('./trash');
+const annotations = require('./annotations');
+const auth = require('./auth');
+const oidc = require('./oidc');
+const { recordAudit, readAudit } = require('./audit');
+const usage = require('./usage');
+const redaction = require('./redaction');
+const { createProvider } = require('./llm');
+const { createStorage } = require('./storage');
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'API_KEY_MISSING');
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// How many earlier analyses to keep per document after re-analysis
+const MAX_ANALYSIS_VERSIONS = parseInt(process.env.MAX_ANALYSIS_VERSIONS, 10) || 10;
+
+const searchIndex = createSearchIndex();
+
+// Background processing queue: HTTP handlers enqueue work and return job IDs right away
+const jobQueue = createJobQueue({
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+    logFn: log,
+    onChange: job => {
+        events.broadcast('job-updated', job);
+        // Processing adds to the usage log, tasks and suggested tags
+        if (job.state === 'done' || job.state === 'failed') storage.saveState();
+    },
+    // Daily budgets (USAGE_DAILY_TOKEN_BUDGET, USAGE_DAILY_COST_BUDGET) hold queued jobs until the next day
+    pauseReason: () => usage.budgetExceeded(DATA_DIR)
+});
+// Picks queued jobs up again once a new day (or a raised budget) ends the pause
+setInterval(() => jobQueue.resume(), 60 * 1000).unref();
+
+// Text generation backend, chosen with LLM_PROVIDER (gemini, openai, mock) and LLM_MODEL
+const llm = createProvider();
+const storage = createStorage({ dataDir: DATA_DIR, logFn: message => log(message) });
 
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 
-// Middleware to initialize Drive Sync on first request (for Vercel)
+if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1); // Vercel terminates TLS; needed for req.ip, req.protocol and secure cookies
+}
+
+// Every API route needs a signed-in user except the sign-in routes themselves.
+// Roles: viewer (read, annotate, ask), editor (+ upload, sync, re-analyze, tasks), admin (+ delete, debug, users, audit)
+// Accounts come back from the storage backend before anyone is signed in (see initializeStorage)
+app.use('/api', async (req, res, next) => {
+    await initializeStorage();
+    next();
+});
+app.use('/api', auth.authenticateRequest(DATA_DIR));
+// The Drive webhook and the scheduled sync check their callers themselves.
+app.use('/api', (req, res, next) => {
+    if (req.path.startsWith('/auth/') || req.path === '/drive/webhook' || req.path === '/sync/scheduled') return next();
+    auth.requireRole('viewer')(req, res, () => {
+        req.userId = req.user.username;
+        next();
+    });
+});
+
+// State files a write request changed (accounts, library, tasks, logs, trash) reach the storage backend
+// before the response: serverless hosts may freeze or recycle the instance as soon as it is out
+app.use('/api', (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+    const send = res.send.bind(res);
+    res.send = body => {
+        res.send = send;
+        storage.saveState().finally(() => send(body));
+        return res;
+    };
+    next();
+});
+
+// Route parameters holding a document name must stay inside DATA_DIR
+app.param('filename', (req, res, next, filename) => {
+    if (!isDocumentName(filename)) {
+        return res.status(400).json({ success: false, message: 'Invalid file name' });
+    }
+    next();
+});
+
+// API to sign in with a local account; sets the session cookie and returns a bearer token for scripts
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const user = auth.authenticateUser(DATA_DIR, String(username || ''), password, req.ip);
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+        }
+        const token = auth.issueToken(DATA_DIR, user.username);
+        auth.setSessionCookie(res, token);
+        res.json({ success: true, user, token });
+    } catch (error) {
+        res.status(429).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    res.json(req.user);
+});
+
+// What the login screen should offer
+app.get('/api/auth/config', (req, res) => {
+    res.json({ oidcEnabled: oidc.isOidcEnabled(), authDisabled: auth.isAuthDisabled() });
+});
+
+// API to change the signed-in user's own password: { currentPassword, newPassword }
+app.post('/api/auth/password', auth.requireRole('viewer'), (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!auth.authenticateUser(DATA_DIR, req.user.username, currentPassword, req.ip)) {
+        return res.status(403).json({ success: false, message: 'Current password is incorrect' });
+    }
+    try {
+        const user = auth.updateUser(DATA_DIR, req.user.username, { password: newPassword });
+        // The new password invalidated every session, including this one
+        auth.setSessionCookie(res, auth.issueToken(DATA_DIR, user.username));
+        res.json({ success: true, user });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Single sign-on: redirect to the provider, then create or look up the local account on the way back
+app.get('/api/auth/oidc/login', async (req, res) => {
+    if (!oidc.isOidcEnabled()) {
+        return res.status(404).json({ success: false, message: 'Single sign-on is not configured' });
+    }
+    try {
+        const { url, state } = await oidc.buildAuthorizationUrl(req);
+        res.cookie('oidc_state', state, { httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production', maxAge: 10 * 60 * 1000, path: '/api/auth/oidc' });
+        res.redirect(url);
+    } catch (error) {
+        console.error('Error starting single sign-on:', error);
+        res.status(502).json({ success: false, message: 'Error contacting the identity provider: ' + error.message });
+    }
+});
+
+app.get('/api/auth/oidc/callback', async (req, res) => {
+    const expectedState = (req.get('Cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith('oidc_state='));
+    res.clearCookie('oidc_state', { path: '/api/auth/oidc' });
+    if (!oidc.isOidcEnabled() || !req.query.code || !expectedState || expectedState.split('=')[1] !== req.query.state) {
+        return res.status(400).send('Invalid sign-in response. Please try again.');
+    }
+
+    let userInfo;
+    try {
+        userInfo = await oidc.completeLogin(req, req.query.code);
+    } catch (error) {
+        console.error('Error completing single sign-on:', error);
+        return res.status(502).send('Single sign-on failed: ' + error.message);
+    }
+
+    // Identified by the provider's subject; an account with the same name is only reused when it is linked to it
+    try {
+        if (!userInfo.sub) throw new Error('The identity provider returned no subject');
+        const { user, created } = auth.findOrCreateOidcUser(DATA_DIR, {
+            username: oidc.usernameFor(userInfo),
+            subject: String(userInfo.sub),
+            role: oidc.initialRoleFor(userInfo)
+        });
+        if (created) log(`Created user ${user.username} from single sign-on`);
+        await storage.saveState();
+        auth.setSessionCookie(res, auth.issueToken(DATA_DIR, user.username));
+        res.redirect('/');
+    } catch (error) {
+        res.status(403).send('Single sign-on failed: ' + error.message);
+    }
+});
+
+// User management (admin only)
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+    res.json(auth.listUsers(DATA_DIR));
+});
+
+app.post('/api/users', auth.requireRole('admin'), (req, res) => {
+    try {
+        const user = auth.createUser(DATA_DIR, req.body || {});
+        recordAudit(DATA_DIR, req, 'user.create', user.username, { role: user.role });
+        res.status(201).json(user);
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// { role, password }
+app.patch('/api/users/:username', auth.requireRole('admin'), (req, res) => {
+    const { role, password } = req.body || {};
+    try {
+        const user = auth.updateUser(DATA_DIR, req.params.username, { role, password });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        recordAudit(DATA_DIR, req, 'user.update', user.username, { role, passwordChanged: password !== undefined });
+        res.json(user);
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/users/:username', auth.requireRole('admin'), (req, res) => {
+    try {
+        if (!auth.deleteUser(DATA_DIR, req.params.username)) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        recordAudit(DATA_DIR, req, 'user.delete', req.params.username);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// API to read the audit log, newest first: /api/audit?limit=100&user=alice&action=result.delete
+app.get('/api/audit', auth.requireRole('admin'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    res.json(readAudit(DATA_DIR, { limit, user: req.query.user, action: req.query.action }));
+});
+
+// Middleware to restore stored results and initialize Drive Sync on first request (for Vercel)
 // Placed BEFORE API routes to ensure data is ready
 app.use(async (req, res, next) => {
     // Skip for static files if possible, but express.static handles those above.
     // This will mostly catch API requests.
+    await initializeStorage();
     if (!driveSyncInitialized) {
-        await initializeDriveSync();
+        // With results from storage the dashboard can be served while Drive catches up
+        const sync = startDriveSync();
+        if (Object.keys(processedFiles).length === 0) {
+            await sync;
+        } else {
+            sync.catch(err => console.error('Drive sync after a cold start failed:', err));
+        }
     }
     next();
 });
 
-// API to manually trigger Drive Sync
-app.post('/api/sync', async (req, res) => {
+// API to manually trigger Drive Sync; { "full": true } lists every folder instead of reading the change log
+app.post('/api/sync', auth.requireRole('editor'), async (req, res) => {
     log("Manual Sync requested via API");
     try {
-        const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : null;
-
         // 1. Sync files from Drive if configured
-        if (driveFolderId) {
-            await syncDriveFiles(driveFolderId, DATA_DIR, log);
-        } else {
-            log("Skipping Drive sync (DRIVE_FOLDER_ID not configured), processing local files only");
-        }
+        const { changes } = await runDriveSync('manual', { full: !!(req.body && req.body.full === true) });
 
-        // 2. Process any PDFs in DATA_DIR (local or synced)
-        const files = fs.readdirSync(DATA_DIR);
-        for (const file of files) {
-            if (file.toLowerCase().endsWith('.pdf')) {
-                await processPDF(path.join(DATA_DIR, file));
-            }
-        }
+        // 2. Queue any unprocessed PDFs in DATA_DIR (local or synced)
+        const jobs = queueUnprocessedFiles();
 
         res.json({
             success: true,
-            message: 'Sync complete',
+            message: jobs.length > 0 ? `Sync complete, ${jobs.length} file(s) queued for processing` : 'Sync complete',
+            jobs: jobs.map(job => job.id),
+            changes,
             files: Object.values(processedFiles)
         });
     } catch (error) {
@@ -82,48 +331,865 @@ app.post('/api/sync', async (req, res) => {
     }
 });
 
-// API to get processed files
-app.get('/api/results', (req, res) => {
-    const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : '';
-    const results = Object.values(processedFiles).map(file => ({
-        ...file,
-        driveFolderId: driveFolderId
-    }));
+// Sync for schedulers, needed on serverless deployments where nothing runs between requests
+// (Vercel Cron, GitHub Actions, crontab + curl). Callers send `Authorization: Bearer <CRON_SECRET>`
+// or have an editor session. Also renews the Drive webhook channel before it expires
+// and purges trash entries past their retention.
+async function scheduledSync(req, res) {
+    if (!isCronRequest(req) && !auth.hasRole(req.user, 'editor')) {
+        return res.status(req.user ? 403 : 401).json({ success: false, message: 'CRON_SECRET or the editor role is required' });
+    }
+    try {
+        const { changes } = await runDriveSync('scheduled');
+        await purgeExpiredTrash();
+        res.json({ success: true, changes });
+    } catch (error) {
+        console.error('Error during scheduled sync:', error);
+        res.status(500).json({ success: false, message: 'Sync failed: ' + error.message });
+    }
+}
+app.get('/api/sync/scheduled', scheduledSync);
+app.post('/api/sync/scheduled', scheduledSync);
+
+function isCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(req.get('authorization') || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Push notifications of the changes.watch channel that sync sets up when DRIVE_WEBHOOK_URL is set.
+// Google sends no session; the channel id and secret token identify the caller.
+app.post('/api/drive/webhook', async (req, res) => {
+    if (!isCurrentChannel(DATA_DIR, req.get('X-Goog-Channel-ID'), req.get('X-Goog-Channel-Token'))) {
+        return res.status(403).json({ success: false, message: 'Unknown channel' });
+    }
+    // 'sync' only confirms that the channel was created. Sync before answering:
+    // a serverless instance may be frozen as soon as the response is sent.
+    if (req.get('X-Goog-Resource-State') !== 'sync') {
+        try {
+            await runDriveSync('webhook');
+        } catch (error) {
+            console.error('Error syncing after a Drive notification:', error);
+        }
+    }
+    res.status(200).end();
+});
+
+// Upload handling: keep the file in memory, validate it, then write it into DATA_DIR
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 25) * 1024 * 1024;
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const isPdfName = file.originalname.toLowerCase().endsWith('.pdf');
+        const isPdfMime = file.mimetype === 'application/pdf' || file.mimetype === 'application/octet-stream';
+        if (!isPdfName || !isPdfMime) {
+            return cb(new Error('Only PDF files are accepted'));
+        }
+        cb(null, true);
+    }
+});
+
+// Strip any path components and unsafe characters, and never overwrite an existing file
+function getUploadPath(originalName) {
+    const safeName = path.basename(originalName).replace(/[^\w.\- ()]/g, '_');
+    const base = path.basename(safeName, path.extname(safeName)) || 'upload';
+    let candidate = `${base}.pdf`;
+    let counter = 1;
+    while (storage.hasPdf(candidate)) {
+        candidate = `${base} (${counter++}).pdf`;
+    }
+    return path.join(DATA_DIR, candidate);
+}
+
+// API to upload a PDF from the browser
+app.post('/api/upload', auth.requireRole('editor'), (req, res) => {
+    upload.single('file')(req, res, async (err) => {
+        if (err) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `File too large (max ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB)`
+                : err.message;
+            return res.status(status).json({ success: false, message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded (expected field "file")' });
+        }
+
+        // Check the magic bytes; the browser-supplied MIME type can't be trusted
+        if (req.file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            return res.status(400).json({ success: false, message: 'File is not a valid PDF' });
+        }
+
+        const filePath = getUploadPath(req.file.originalname);
+        const fileName = documentName(filePath);
+
+        try {
+            fs.writeFileSync(filePath, req.file.buffer);
+            log(`Uploaded ${fileName} (${req.file.size} bytes)`);
+
+            const job = jobQueue.enqueue(fileName, async (report) => {
+                await processPDF(filePath, { onProgress: report });
+
+                // Mirror the original PDF to Drive so the team sees it too
+                const driveFolderId = getDriveFolderFor(DATA_DIR, fileName);
+                if (driveFolderId) {
+                    report('uploading');
+                    const driveFile = await uploadFileToDrive(driveFolderId, filePath, 'application/pdf', log);
+                    markFileAsDownloaded(DATA_DIR, driveFile, fileName);
+                }
+            }, { type: 'upload' });
+
+            res.status(202).json({
+                success: true,
+                message: `${fileName} uploaded and queued for analysis`,
+                jobId: job.id,
+                job: job
+            });
+        } catch (error) {
+            console.error(`Error handling upload of ${fileName}:`, error);
+            res.status(500).json({ success: false, message: 'Upload failed: ' + error.message });
+        }
+    });
+});
+
+// API to list processing jobs (most recent first)
+app.get('/api/jobs', (req, res) => {
+    let jobs = jobQueue.listJobs();
+    if (req.query.active === 'true') {
+        jobs = jobs.filter(job => jobQueue.isActive(job));
+    }
+    res.json(jobs);
+});
+
+// API to get a single processing job
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Shape of a result as sent to the dashboard (REST and SSE)
+// Previous analysis versions are only sent on request (GET /api/results/:filename/versions)
+// Pass a context loaded once when converting a whole list, and the user for redacted values (see revealFor).
+function toClientResult(file, context = loadClientContext(), user = null) {
+    const { versions, redaction: redactionReport, ...rest } = file;
+    const { tags, tagsEdited, collections } = library.documentMetadata(context.library, file.name);
+    const result = {
+        ...rest,
+        versionCount: versions ? versions.length : 0,
+        driveFolderId: context.driveFolderId,
+        driveFileId: context.driveFileIds[file.name] || null,
+        hasPdf: storage.hasPdf(file.name),
+        tags,
+        tagsEdited,
+        collections,
+        suggestedTags: file.structured && file.structured.tags ? file.structured.tags : []
+    };
+    if (!redactionReport) return result;
+    return { ...revealFor(user, file.name, result), redaction: { ...redactionReport, revealed: canReveal(user) } };
+}
+
+// An unknown REDACTION_REVEAL_ROLE reveals to nobody rather than to everyone
+function canReveal(user) {
+    const role = redaction.getRevealRole();
+    return auth.ROLES.includes(role) && auth.hasRole(user, role);
+}
+
+// data as the user may see it: placeholders of redacted personal data (see redaction.js)
+// are replaced with the original values for REDACTION_REVEAL_ROLE and up
+function revealFor(user, fileName, data) {
+    if (!canReveal(user)) return data;
+    const record = readSidecar(path.join(DATA_DIR, fileName), 'redaction');
+    return record ? redaction.revealPlaceholders(data, record.placeholders) : data;
+}
+
+// Tasks come from the analyses of their source documents, so each is revealed with its source's mapping
+function revealTasks(user, list) {
+    if (!canReveal(user)) return list;
+    const mappings = new Map();
+    return list.map(task => {
+        if (!mappings.has(task.sourceFile)) {
+            const record = readSidecar(path.join(DATA_DIR, task.sourceFile), 'redaction');
+            mappings.set(task.sourceFile, record ? record.placeholders : null);
+        }
+        return redaction.revealPlaceholders(task, mappings.get(task.sourceFile));
+    });
+}
+
+// Redactor with the placeholders already given out for a document, so values keep their placeholder
+async function documentRedactor(fileName) {
+    const record = await storage.getRecord(fileName, 'redaction');
+    return redaction.createRedactor(record ? record.placeholders : {});
+}
+
+async function saveRedaction(fileName, redactor) {
+    await storage.putRecord(fileName, 'redaction', { name: fileName, placeholders: redactor.placeholders, updatedAt: new Date() });
+}
+
+function loadClientContext() {
+    const driveSources = getDriveSources();
+    return {
+        driveFolderId: driveSources.length > 0 ? driveSources[0].folderId : '',
+        driveFileIds: getDriveFileIds(DATA_DIR),
+        library: library.loadLibrary(DATA_DIR)
+    };
+}
+
+// Store a result in memory and tell connected dashboards about it
+function setProcessedFile(fileName, data) {
+    const type = getProcessedFile(fileName) ? 'file-updated' : 'file-added';
+    processedFiles[fileName] = data;
+    if (data.structured && data.structured.tags && library.applySuggestedTags(DATA_DIR, fileName, data.structured.tags)) {
+        events.broadcast('library-updated', {});
+    }
+    indexDocument(fileName, data);
+    const context = loadClientContext();
+    events.broadcast(type, user => toClientResult(data, context, user));
+    // Failed analyses have no structured data; keep the tasks from the last good one
+    if (data.structured && tasks.syncTasksFromResult(DATA_DIR, data)) {
+        events.broadcast('tasks-updated', {});
+    }
+}
+
+function removeProcessedFile(fileName) {
+    if (getProcessedFile(fileName)) {
+        delete processedFiles[fileName];
+    }
+    searchIndex.removeDocument(fileName);
+    library.removeDocument(DATA_DIR, fileName);
+    events.broadcast('file-deleted', { name: fileName });
+    if (tasks.removeTasksForFile(DATA_DIR, fileName)) {
+        events.broadcast('tasks-updated', {});
+    }
+}
+
+// Add a document's full text and analysis to the search index.
+// Results cached before full text was stored get their text re-extracted in the background.
+function indexDocument(fileName, data) {
+    const pdfPath = path.join(DATA_DIR, fileName);
+    const fullText = readSidecar(pdfPath, 'text');
+    searchIndex.addDocument(fileName, { pages: fullText ? fullText.pages : [], analysis: data.analysis });
+
+    if (!fullText && fs.existsSync(pdfPath)) {
+        extractDocumentText(fs.readFileSync(pdfPath), { logFn: log, fileName })
+            .then(async ({ pages, pageSources }) => {
+                await storage.putRecord(fileName, 'text', { name: fileName, extractedAt: new Date(), pages, pageSources });
+                const current = getProcessedFile(fileName);
+                if (current) {
+                    searchIndex.addDocument(fileName, { pages, analysis: current.analysis });
+                }
+            })
+            .catch(err => console.error(`Error extracting text for search from ${fileName}:`, err));
+    }
+}
+
+// API to get processed files, optionally filtered: /api/results?tag=budget&collection=<id>
+app.get('/api/results', async (req, res) => {
+    await initializeStorage();
+    const context = loadClientContext();
+    const tag = typeof req.query.tag === 'string' ? library.normalizeTags([req.query.tag])[0] : null;
+    const collection = typeof req.query.collection === 'string' ? req.query.collection : null;
+    const results = Object.values(processedFiles)
+        .map(file => toClientResult(file, context, req.user))
+        .filter(file => !tag || file.tags.includes(tag))
+        .filter(file => !collection || file.collections.includes(collection));
     res.json(results);
 });
 
-// API to delete a processed file
-app.delete('/api/results/:filename', async (req, res) => {
-    const filename = req.params.filename;
+// Tags and collections with their document counts, for the dashboard filters
+app.get('/api/library', (req, res) => {
+    const fileNames = Object.keys(processedFiles);
+    res.json({ collections: library.listCollections(DATA_DIR, fileNames), tags: library.listTags(DATA_DIR, fileNames) });
+});
+
+app.post('/api/collections', auth.requireRole('editor'), (req, res) => {
+    try {
+        const collection = library.createCollection(DATA_DIR, req.body && req.body.name);
+        recordAudit(DATA_DIR, req, 'collection.create', collection.id, { name: collection.name });
+        events.broadcast('library-updated', {});
+        res.json({ success: true, collection });
+    } catch (err) {
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
 
+app.patch('/api/collections/:id', auth.requireRole('editor'), (req, res) => {
+    let collection;
     try {
-        // 1. Remove from memory
-        if (processedFiles[filename]) {
-            delete processedFiles[filename];
+        collection = library.renameCollection(DATA_DIR, req.params.id, req.body && req.body.name);
+    } catch (err) {
+        return res.status(400).json({ success: false, message: err.message });
+    }
+    if (!collection) {
+        return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    recordAudit(DATA_DIR, req, 'collection.rename', collection.id, { name: collection.name });
+    events.broadcast('library-updated', {});
+    res.json({ success: true, collection });
+});
+
+app.delete('/api/collections/:id', auth.requireRole('editor'), (req, res) => {
+    const members = Object.keys(processedFiles)
+        .filter(name => library.getDocumentMetadata(DATA_DIR, name).collections.includes(req.params.id));
+    let deleted;
+    try {
+        deleted = library.deleteCollection(DATA_DIR, req.params.id);
+    } catch (err) {
+        return res.status(400).json({ success: false, message: err.message });
+    }
+    if (!deleted) {
+        return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    recordAudit(DATA_DIR, req, 'collection.delete', req.params.id);
+    broadcastLibraryChange(members);
+    res.json({ success: true });
+});
+
+// Tags and collections replace the whole list: { tags: ['budget'] }, { collections: ['<id>'] }
+function libraryRoute(action, update) {
+    return (req, res) => {
+        const filename = req.params.filename;
+        if (!getProcessedFile(filename)) {
+            return res.status(404).json({ success: false, message: 'Result not found' });
+        }
+        let metadata;
+        try {
+            metadata = update(filename, req.body || {});
+        } catch (err) {
+            return res.status(400).json({ success: false, message: err.message });
         }
+        recordAudit(DATA_DIR, req, action, filename, { tags: metadata.tags, collections: metadata.collections });
+        broadcastLibraryChange([filename]);
+        res.json({ success: true, ...metadata });
+    };
+}
 
-        // 2. Remove local files
-        const pdfPath = path.join(DATA_DIR, filename);
-        const jsonPath = path.join(DATA_DIR, `${filename}.json`);
+app.put('/api/results/:filename/tags', auth.requireRole('editor'), libraryRoute('result.tags', (filename, body) =>
+    library.setDocumentTags(DATA_DIR, filename, body.tags)));
 
-        if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
-        if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
+app.put('/api/results/:filename/collections', auth.requireRole('editor'), libraryRoute('result.collections', (filename, body) =>
+    library.setDocumentCollections(DATA_DIR, filename, body.collections)));
 
-        // 3. Remove from Drive (both PDF and JSON analysis)
-        const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : null;
+// Resend the given results and have dashboards reload the filter lists
+function broadcastLibraryChange(fileNames) {
+    const context = loadClientContext();
+    for (const name of fileNames) {
+        const file = getProcessedFile(name);
+        if (file) events.broadcast('file-updated', user => toClientResult(file, context, user));
+    }
+    events.broadcast('library-updated', {});
+}
+
+// API to search full text and analyses: /api/search?q=budget "project alpha"
+app.get('/api/search', (req, res) => {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+        return res.status(400).json({ success: false, message: 'Query parameter q is required' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const results = searchIndex.search(query, { limit });
+    res.json({ query, total: results.length, results });
+});
+
+// Live updates for the dashboard (replaces polling /api/results)
+app.get('/api/events', (req, res) => {
+    events.addClient(req, res);
+});
+
+// API to delete a processed file. Nothing is deleted for good: the files go to the trash (see trash.js)
+// and their Drive copies to the Drive trash, so the delete can be undone until the trash expires.
+app.delete('/api/results/:filename', auth.requireRole('admin'), async (req, res) => {
+    const filename = req.params.filename;
+    const driveFolderId = getDriveFolderFor(DATA_DIR, filename);
+
+    try {
+        // 1. Trash the Drive files (PDF, analysis cache, annotations) in the folder the PDF came from.
+        // First, so a Drive error leaves the document as it was.
+        const pdfPath = path.join(DATA_DIR, filename);
+        const driveFiles = [];
         if (driveFolderId) {
-            await deleteFileFromDrive(driveFolderId, filename, log);
-            await deleteFileFromDrive(driveFolderId, `${filename}.json`, log);
+            const driveName = path.basename(pdfPath);
+            for (const name of [driveName, `${driveName}.json`, path.basename(sidecarPath(pdfPath, 'annotations'))]) {
+                const trashed = await trashFileOnDrive(driveFolderId, name, log);
+                driveFiles.push(...trashed.map(file => ({ id: file.id, name: path.posix.join(path.posix.dirname(filename), file.name) })));
+            }
         }
 
-        log(`Deleted ${filename} and its analysis.`);
-        res.json({ success: true, message: `${filename} deleted` });
+        // 2. Keep what removing the document drops from the library and task list, for a restore
+        const libraryEntry = library.loadLibrary(DATA_DIR).documents[filename] || null;
+        const fileTasks = Object.values(tasks.loadTasks(DATA_DIR)).filter(task => task.sourceFile === filename);
+
+        // 3. Remove from memory and move the local files (PDF, analysis cache, full text, ...) to the trash.
+        // After a cold start some may only be in the storage backend, which keeps them until the purge.
+        await storage.fetchDocument(filename);
+        removeProcessedFile(filename);
+        const entry = trash.moveToTrash(DATA_DIR, filename, {
+            deletedBy: req.userId,
+            drive: driveFiles,
+            library: libraryEntry,
+            tasks: fileTasks
+        });
+        await storage.saveState();
+
+        recordAudit(DATA_DIR, req, 'result.delete', filename, { trashId: entry.id });
+        events.broadcast('trash-updated', {});
+        log(`Moved ${filename} to the trash.`);
+        res.json({ success: true, message: `${filename} moved to the trash`, trashId: entry.id, entry });
     } catch (error) {
         console.error(`Error deleting ${filename}:`, error);
         res.status(500).json({ success: false, message: 'Error deleting file: ' + error.message });
     }
 });
 
+// Deleted documents, newest first. Expired entries are purged on the way.
+app.get('/api/trash', auth.requireRole('admin'), async (req, res) => {
+    await purgeExpiredTrash();
+    res.json({ retentionDays: trash.getRetentionDays(), items: trash.listTrash(DATA_DIR) });
+});
+
+// Undo a delete: local files, Drive files, library entry and tasks come back
+app.post('/api/trash/:id/restore', auth.requireRole('admin'), async (req, res) => {
+    let entry;
+    try {
+        const pending = trash.getTrashEntry(DATA_DIR, req.params.id);
+        if (pending && getProcessedFile(pending.name)) {
+            throw new Error(`${pending.name} exists again; rename or delete it before restoring`);
+        }
+        entry = trash.restoreFromTrash(DATA_DIR, req.params.id);
+    } catch (error) {
+        return res.status(409).json({ success: false, message: error.message });
+    }
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Not found in the trash' });
+    }
+
+    // Known to sync again, so it isn't downloaded a second time
+    for (const file of entry.drive) {
+        try {
+            const driveFile = await restoreFileOnDrive(file.id, log);
+            if (driveFile) markFileAsDownloaded(DATA_DIR, driveFile, file.name);
+        } catch (error) {
+            log(`Could not restore ${file.name} on Drive: ${error.message}`);
+        }
+    }
+
+    library.restoreDocument(DATA_DIR, entry.name, entry.library);
+    tasks.restoreTasks(DATA_DIR, entry.tasks);
+    // Files the local trash lost in a cold start come from the backend; then everything is written back
+    await storage.fetchDocument(entry.name);
+    await storage.storeDocument(entry.name);
+    await storage.saveState();
+
+    const pdfPath = path.join(DATA_DIR, entry.name);
+    if (!loadCachedResult(pdfPath) && fs.existsSync(pdfPath)) {
+        enqueuePDF(pdfPath);
+    }
+
+    recordAudit(DATA_DIR, req, 'result.restore', entry.name, { trashId: entry.id });
+    events.broadcast('trash-updated', {});
+    events.broadcast('library-updated', {});
+    events.broadcast('tasks-updated', {});
+    log(`Restored ${entry.name} from the trash.`);
+    res.json({ success: true, message: `${entry.name} restored`, name: entry.name });
+});
+
+// Delete one trashed document for good
+app.delete('/api/trash/:id', auth.requireRole('admin'), async (req, res) => {
+    const entry = await purgeTrashed(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Not found in the trash' });
+    }
+    recordAudit(DATA_DIR, req, 'trash.purge', entry.name, { trashId: entry.id });
+    events.broadcast('trash-updated', {});
+    res.json({ success: true, message: `${entry.name} deleted permanently` });
+});
+
+// Empty the trash
+app.delete('/api/trash', auth.requireRole('admin'), async (req, res) => {
+    const purged = [];
+    for (const entry of trash.listTrash(DATA_DIR)) {
+        if (await purgeTrashed(entry.id)) purged.push(entry.name);
+    }
+    recordAudit(DATA_DIR, req, 'trash.empty', null, { count: purged.length });
+    events.broadcast('trash-updated', {});
+    res.json({ success: true, message: `${purged.length} item(s) deleted permanently`, purged });
+});
+
+// Remove the local files, the stored copy and the trashed Drive files.
+// Returns the entry, or null if it wasn't in the trash.
+async function purgeTrashed(id) {
+    const entry = trash.purgeTrashEntry(DATA_DIR, id);
+    if (!entry) return null;
+    // Unless a new document took the name in the meantime
+    if (!getProcessedFile(entry.name) && !fs.existsSync(path.join(DATA_DIR, entry.name))) {
+        await storage.removeDocument(entry.name);
+    }
+    await storage.saveState();
+    for (const file of entry.drive) {
+        try {
+            await deleteTrashedFileOnDrive(file.id, log);
+        } catch (error) {
+            log(`Could not delete ${file.name} from the Drive trash: ${error.message}`);
+        }
+    }
+    log(`Purged ${entry.name} from the trash.`);
+    return entry;
+}
+
+async function purgeExpiredTrash() {
+    const expired = trash.listExpired(DATA_DIR);
+    for (const entry of expired) {
+        await purgeTrashed(entry.id);
+    }
+    if (expired.length > 0) {
+        events.broadcast('trash-updated', {});
+    }
+}
+
+// API to get the question/answer history of a document
+app.get('/api/results/:filename/chat', async (req, res) => {
+    const filename = req.params.filename;
+    if (!getProcessedFile(filename)) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    const chat = await storage.getRecord(filename, 'chat');
+    res.json({ name: filename, messages: revealFor(req.user, filename, chat ? chat.messages : []) });
+});
+
+// API to clear the question/answer history of a document
+app.delete('/api/results/:filename/chat', auth.requireRole('editor'), async (req, res) => {
+    const filename = req.params.filename;
+    if (!getProcessedFile(filename)) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    await storage.putRecord(filename, 'chat', { name: filename, messages: [] });
+    recordAudit(DATA_DIR, req, 'chat.clear', filename);
+    res.json({ success: true, messages: [] });
+});
+
+// API to ask a question about one document, answered from its full text with page citations
+app.post('/api/results/:filename/ask', async (req, res) => {
+    const filename = req.params.filename;
+    const question = req.body && typeof req.body.question === 'string' ? req.body.question.trim() : '';
+
+    if (!question) {
+        return res.status(400).json({ success: false, message: 'Question is required' });
+    }
+    if (!getProcessedFile(filename)) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    if (!llm.isConfigured()) {
+        return res.status(503).json({ success: false, message: llm.missingConfigMessage });
+    }
+
+    try {
+        let fullText = await storage.getRecord(filename, 'text');
+        if (!fullText) {
+            const pdfPath = await storage.fetchPdf(filename);
+            if (!pdfPath) {
+                return res.status(404).json({ success: false, message: 'Original PDF is not available on the server' });
+            }
+            const { pages, pageSources } = await extractDocumentText(fs.readFileSync(pdfPath), { logFn: log, fileName: filename });
+            fullText = { name: filename, extractedAt: new Date(), pages, pageSources };
+            await storage.putRecord(filename, 'text', fullText);
+            searchIndex.addDocument(filename, { pages, analysis: getProcessedFile(filename).analysis });
+        }
+
+        const chat = await storage.getRecord(filename, 'chat') || { name: filename, messages: [] };
+        // Passages and the question go through the same redaction as the analysis; answers keep the placeholders
+        const redactor = redaction.isEnabled() ? await documentRedactor(filename) : null;
+        const result = await answerQuestion({
+            fileName: filename,
+            question,
+            pages: fullText.pages,
+            history: chat.messages,
+            retrieve: query => searchIndex.retrieve(filename, query, { limit: 8 }),
+            generate: prompt => callModelWithRetry(redactor ? redactor.redact(prompt) : prompt, { document: filename, purpose: 'chat' }),
+            maxChars: parseInt(process.env.ASK_CONTEXT_CHARS, 10) || undefined
+        });
+
+        const now = new Date().toISOString();
+        chat.messages.push({ role: 'user', content: question, timestamp: now });
+        chat.messages.push({ role: 'assistant', content: result.answer, citations: result.citations, sources: result.sources, timestamp: now });
+        await storage.putRecord(filename, 'chat', chat);
+        if (redactor) await saveRedaction(filename, redactor);
+
+        log(`Answered question about ${filename}`);
+        res.json({ success: true, ...revealFor(req.user, filename, { answer: result.answer, citations: result.citations, messages: chat.messages }) });
+    } catch (error) {
+        console.error(`Error answering question about ${filename}:`, error);
+        res.status(500).json({ success: false, message: 'Error answering question: ' + error.message });
+    }
+});
+
+// Read state, notes and highlights of the current user for every document: { [fileName]: annotations }
+app.get('/api/annotations', (req, res) => {
+    const result = {};
+    for (const fileName of Object.keys(processedFiles)) {
+        result[fileName] = annotations.getUserAnnotations(path.join(DATA_DIR, fileName), fileName, req.userId);
+    }
+    res.json(result);
+});
+
+app.get('/api/results/:filename/annotations', (req, res) => {
+    const filename = req.params.filename;
+    if (!getProcessedFile(filename)) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    res.json(annotations.getUserAnnotations(path.join(DATA_DIR, filename), filename, req.userId));
+});
+
+// Shared handler for the annotation routes: validate the file, apply the change, mirror to Drive
+function annotationRoute(apply) {
+    return async (req, res) => {
+        const filename = req.params.filename;
+        if (!getProcessedFile(filename)) {
+            return res.status(404).json({ success: false, message: 'File not found in processed files' });
+        }
+
+        const pdfPath = path.join(DATA_DIR, filename);
+        let result;
+        try {
+            result = apply(pdfPath, filename, req);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        events.broadcast('annotations-updated', { name: filename, user: req.userId });
+        await storage.persistRecord(filename, 'annotations');
+        await uploadAnnotations(pdfPath);
+        res.json(result);
+    };
+}
+
+// API to mark a document read or unread: { read: true }
+app.put('/api/results/:filename/read', annotationRoute((pdfPath, filename, req) =>
+    annotations.setReadState(pdfPath, filename, req.userId, req.body && req.body.read)));
+
+// API to set the current user's note; an empty note removes it: { note: '...' }
+app.put('/api/results/:filename/note', annotationRoute((pdfPath, filename, req) =>
+    annotations.setNote(pdfPath, filename, req.userId, req.body && req.body.note)));
+
+// API to add a highlight: { section, text, offset }
+app.post('/api/results/:filename/highlights', annotationRoute((pdfPath, filename, req) =>
+    annotations.addHighlight(pdfPath, filename, req.userId, req.body)));
+
+app.delete('/api/results/:filename/highlights/:id', annotationRoute((pdfPath, filename, req) =>
+    ({ success: true, removed: annotations.removeHighlights(pdfPath, filename, req.userId, req.params.id) })));
+
+app.delete('/api/results/:filename/highlights', annotationRoute((pdfPath, filename, req) =>
+    ({ success: true, removed: annotations.removeHighlights(pdfPath, filename, req.userId) })));
+
+// API to list the models offered by the active provider (replaces the old list_models.js script)
+app.get('/api/models', auth.requireRole('editor'), async (req, res) => {
+    try {
+        const models = await llm.listModels();
+        res.json({ provider: llm.name, activeModel: llm.model, models });
+    } catch (error) {
+        console.error('Error listing models:', error);
+        res.status(502).json({ success: false, message: `Error listing ${llm.name} models: ${error.message}` });
+    }
+});
+
+// API to list the available analysis prompt templates
+app.get('/api/templates', (req, res) => {
+    res.json(listTemplates());
+});
+
+// API to combine the stored analyses of several documents into one new result:
+// { files: ['a.pdf', 'b.pdf'], mode: 'compare' | 'merge-summary' | 'timeline', title? }
+app.post('/api/synthesize', auth.requireRole('editor'), (req, res) => {
+    const { files, mode, title } = req.body || {};
+    const config = synthesis.getMode(mode);
+    if (!config) {
+        return res.status(400).json({ success: false, message: `mode must be one of: ${Object.keys(synthesis.MODES).join(', ')}` });
+    }
+    if (!Array.isArray(files) || files.some(file => typeof file !== 'string')) {
+        return res.status(400).json({ success: false, message: 'files must be a list of file names' });
+    }
+    const fileNames = [...new Set(files)];
+    if (fileNames.length < config.minDocuments) {
+        return res.status(400).json({ success: false, message: `${config.label} needs at least ${config.minDocuments} documents` });
+    }
+    const missing = fileNames.filter(file => !getProcessedFile(file));
+    if (missing.length > 0) {
+        return res.status(404).json({ success: false, message: `Not found in processed files: ${missing.join(', ')}` });
+    }
+    if (!llm.isConfigured()) {
+        return res.status(503).json({ success: false, message: llm.missingConfigMessage });
+    }
+
+    const name = synthesis.createSynthesisName(mode);
+    const sourceList = fileNames.length > 3 ? `${fileNames.slice(0, 3).join(', ')} and ${fileNames.length - 3} more` : fileNames.join(', ');
+    const displayTitle = typeof title === 'string' && title.trim() ? title.trim().substring(0, 200) : `${config.label}: ${sourceList}`;
+
+    const job = jobQueue.enqueue(name, report => runSynthesis(name, { mode, fileNames, title: displayTitle, onProgress: report }), { type: 'synthesize', mode });
+    recordAudit(DATA_DIR, req, 'synthesis.create', name, { mode, files: fileNames });
+    log(`Synthesis "${displayTitle}" queued`);
+    res.status(202).json({ success: true, message: `${config.label} of ${fileNames.length} documents queued`, name, jobId: job.id, job });
+});
+
+// API to re-run the analysis of a document, bypassing the cache
+app.post('/api/results/:filename/reanalyze', auth.requireRole('editor'), (req, res) => {
+    const filename = req.params.filename;
+    const template = (req.body && req.body.template) || getDefaultTemplateId();
+    const pageImages = (req.body && req.body.pageImages) || undefined;
+
+    if (!getTemplate(template)) {
+        return res.status(400).json({ success: false, message: `Unknown template: ${template}` });
+    }
+    if (pageImages && !PAGE_IMAGE_MODES.includes(pageImages)) {
+        return res.status(400).json({ success: false, message: `pageImages must be one of: ${PAGE_IMAGE_MODES.join(', ')}` });
+    }
+    if (!getProcessedFile(filename)) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    if (synthesis.isSynthesisName(filename)) {
+        return res.status(400).json({ success: false, message: 'Syntheses cannot be re-analyzed; create a new one instead' });
+    }
+
+    const filePath = path.join(DATA_DIR, filename);
+    if (!storage.hasPdf(filename)) {
+        return res.status(404).json({ success: false, message: 'Original PDF is not available on the server' });
+    }
+
+    const existing = jobQueue.findActiveJob(filename);
+    if (existing) {
+        return res.status(409).json({ success: false, message: `${filename} is already being processed`, jobId: existing.id, job: existing });
+    }
+
+    const job = jobQueue.enqueue(filename, report => processPDF(filePath, { onProgress: report, force: true, template, pageImages }), { type: 'reanalyze', template });
+    recordAudit(DATA_DIR, req, 'result.reanalyze', filename, { template, pageImages });
+    log(`Re-analysis of ${filename} queued with template "${template}"`);
+    res.status(202).json({ success: true, message: `Re-analysis of ${filename} queued`, jobId: job.id, job });
+});
+
+// API to stream the stored PDF for the in-page viewer. sendFile answers Range requests,
+// so the browser's viewer can fetch pages of large files as needed.
+app.get('/api/results/:filename/pdf', async (req, res) => {
+    const filename = req.params.filename;
+    if (!getProcessedFile(filename)) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    if (!await storage.fetchPdf(filename)) {
+        return res.status(404).json({ success: false, message: 'Original PDF is not available on the server' });
+    }
+
+    res.sendFile(filename, {
+        root: DATA_DIR,
+        headers: {
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(path.posix.basename(filename))}`
+        }
+    }, err => {
+        if (err && !res.headersSent) {
+            res.status(err.status || 500).json({ success: false, message: 'Error reading PDF: ' + err.message });
+        }
+    });
+});
+
+// API to download a report of one analysis with the reader's notes and highlights:
+// /api/results/notes.pdf/export?format=md|docx|pdf|html|anki
+app.get('/api/results/:filename/export', async (req, res) => {
+    const filename = req.params.filename;
+    const format = req.query.format || 'md';
+    if (!isExportFormat(format)) {
+        return res.status(400).json({ success: false, message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const file = getProcessedFile(filename);
+    if (!file) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+
+    try {
+        const pdfPath = path.join(DATA_DIR, filename);
+        const exported = await exportResult(revealFor(req.user, filename, file), annotations.getUserAnnotations(pdfPath, filename, req.userId), format);
+        res.attachment(exported.fileName).type(exported.mimeType).send(exported.content);
+    } catch (error) {
+        console.error(`Error exporting ${filename}:`, error);
+        res.status(500).json({ success: false, message: 'Error exporting analysis: ' + error.message });
+    }
+});
+
+// API to download the whole library as a zip of reports: /api/export?format=md
+app.get('/api/export', async (req, res) => {
+    const format = req.query.format || 'md';
+    if (!isExportFormat(format)) {
+        return res.status(400).json({ success: false, message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const records = Object.values(processedFiles)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(record => record.redaction ? revealFor(req.user, record.name, record) : record);
+    const annotationsFor = record => annotations.getUserAnnotations(path.join(DATA_DIR, record.name), record.name, req.userId);
+    res.attachment(`notebook-library-${format}-${new Date().toISOString().substring(0, 10)}.zip`).type('application/zip');
+    try {
+        await exportLibrary(records, annotationsFor, format, res);
+        log(`Exported ${records.length} analyses as ${format}`);
+    } catch (error) {
+        // Headers are gone once the zip has started streaming
+        console.error('Error exporting library:', error);
+        res.destroy(error);
+    }
+});
+
+// API to get the current and previous analyses of a document, newest first
+app.get('/api/results/:filename/versions', (req, res) => {
+    const file = getProcessedFile(req.params.filename);
+    if (!file) {
+        return res.status(404).json({ success: false, message: 'File not found in processed files' });
+    }
+    const { versions = [], textPreview, ...current } = file;
+    res.json({ name: file.name, versions: revealFor(req.user, file.name, [current, ...versions]) });
+});
+
+// API to list action items across all documents: /api/tasks?status=open&file=notes.pdf&overdue=true
+app.get('/api/tasks', (req, res) => {
+    const { status, file } = req.query;
+    res.json(revealTasks(req.user, tasks.listTasks(DATA_DIR, { status, file, overdue: req.query.overdue === 'true' })));
+});
+
+// Calendar feed of open tasks with a due date, for import into any calendar app
+app.get('/api/tasks.ics', (req, res) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="notebook-tasks.ics"');
+    res.send(tasks.buildCalendar(revealTasks(req.user, tasks.listTasks(DATA_DIR, { file: req.query.file }))));
+});
+
+// API to update a task: { status: 'open' | 'done', dueDate: 'YYYY-MM-DD' | null }
+app.patch('/api/tasks/:id', auth.requireRole('editor'), (req, res) => {
+    try {
+        const task = tasks.updateTask(DATA_DIR, req.params.id, req.body || {});
+        if (!task) {
+            return res.status(404).json({ success: false, message: 'Task not found' });
+        }
+        events.broadcast('tasks-updated', { id: task.id });
+        res.json(revealFor(req.user, task.sourceFile, task));
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Bulk update: { ids: [...], status: 'done' }
+app.patch('/api/tasks', auth.requireRole('editor'), (req, res) => {
+    const { ids, ...changes } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ success: false, message: 'ids must be a non-empty array' });
+    }
+    try {
+        const updated = ids.map(id => tasks.updateTask(DATA_DIR, id, changes)).filter(Boolean);
+        events.broadcast('tasks-updated', {});
+        res.json({ success: true, updated: revealTasks(req.user, updated) });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
 // Log capturing
 let serverLogs = [];
 function log(message) {
@@ -131,38 +1197,47 @@ function log(message) {
     const logMessage = `[${timestamp}] ${message}`;
     console.log(logMessage);
     serverLogs.push(logMessage);
+    // Log lines carry file names, errors and Drive diagnostics: admins only, like /api/debug
+    events.broadcast('log', user => auth.hasRole(user, 'admin') ? { timestamp, message } : undefined);
     // Keep only last 100 logs
     if (serverLogs.length > 100) {
         serverLogs.shift();
     }
 }
 
+// Token usage and estimated cost of model calls, by day, document and model:
+// /api/usage?from=2025-01-01&to=2025-01-31&document=notes.pdf (dates are UTC days, inclusive)
+app.get('/api/usage', auth.requireRole('admin'), (req, res) => {
+    const { from, to, document } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return res.status(400).json({ success: false, message: `${name} must be a date (YYYY-MM-DD)` });
+        }
+    }
+    const { budgets, today, exceeded } = usage.checkBudgets(DATA_DIR);
+    res.json({
+        from: from || null,
+        to: to || null,
+        document: document || null,
+        ...usage.aggregateUsage(usage.readUsage(DATA_DIR, { from, to, document })),
+        budgets: { ...budgets, today, exceeded }
+    });
+});
+
 // Debug Endpoint
-app.get('/api/debug', async (req, res) => {
+app.get('/api/debug', auth.requireRole('admin'), async (req, res) => {
     // Force Sync Option
     if (req.query.forceSync === 'true') {
         log("Force Sync requested via Debug API");
         await initializeDriveSync();
     }
 
-    let filesInDataDir = [];
+    // PDFs in the working copy (local) and the storage backend (stored)
+    let storedPdfs = [];
     try {
-        if (fs.existsSync(DATA_DIR)) {
-            const files = fs.readdirSync(DATA_DIR);
-            filesInDataDir = files.map(file => {
-                const stat = fs.statSync(path.join(DATA_DIR, file));
-                return {
-                    name: file,
-                    size: stat.size,
-                    created: stat.birthtime,
-                    modified: stat.mtime
-                };
-            });
-        } else {
-            filesInDataDir = [{ name: 'DATA_DIR does not exist', error: true }];
-        }
+        storedPdfs = await storage.listPdfs();
     } catch (e) {
-        filesInDataDir = [{ name: 'Error reading DATA_DIR', error: e.message }];
+        storedPdfs = [{ name: 'Error listing PDFs', error: e.message }];
     }
 
     let credentialsStatus = 'Missing';
@@ -194,25 +1269,46 @@ app.get('/api/debug', async (req, res) => {
     }
 
     // Check Drive Access
-    const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : null;
+    const driveSources = getDriveSources();
+    const driveFolderId = driveSources.length > 0 ? driveSources[0].folderId : null;
     let driveStatus = { success: false, message: 'Not checked' };
     if (driveFolderId) {
         driveStatus = await checkDriveAccess(driveFolderId, log);
     } else {
-        driveStatus = { success: false, message: 'DRIVE_FOLDER_ID not set' };
+        driveStatus = { success: false, message: 'DRIVE_FOLDER_ID / DRIVE_SOURCES not set' };
     }
 
+    const budgetStatus = usage.checkBudgets(DATA_DIR);
+
     res.json({
         nodeEnv: process.env.NODE_ENV,
         dataDir: DATA_DIR,
-        filesInDataDir: filesInDataDir,
+        storage: { ...storage.describe(), initialized: storageInitialized },
+        pdfs: storedPdfs,
         processedFilesCount: Object.keys(processedFiles).length,
         processedFileNames: Object.keys(processedFiles),
         driveSyncInitialized: driveSyncInitialized,
         driveStatus: driveStatus,
+        usage: {
+            total: usage.summarize(usage.readUsage(DATA_DIR)),
+            today: budgetStatus.today,
+            budgets: budgetStatus.budgets,
+            budgetExceeded: budgetStatus.exceeded,
+            queuePaused: jobQueue.getPauseReason()
+        },
+        redaction: {
+            enabled: redaction.isEnabled(),
+            types: redaction.isEnabled() ? [...new Set(redaction.getDetectors().map(detector => detector.type))] : [],
+            revealRole: redaction.getRevealRole()
+        },
         envVars: {
+            LLM_PROVIDER: `${llm.name} (${llm.model})${llm.isConfigured() ? '' : ' - not configured'}`,
             GEMINI_API_KEY: !!process.env.GEMINI_API_KEY ? 'Present' : 'Missing',
             DRIVE_FOLDER_ID: process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : 'Missing',
+            DRIVE_SOURCES: driveSources,
+            STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'local',
+            USAGE_DAILY_TOKEN_BUDGET: process.env.USAGE_DAILY_TOKEN_BUDGET || 'Not set',
+            USAGE_DAILY_COST_BUDGET: process.env.USAGE_DAILY_COST_BUDGET || 'Not set',
             GOOGLE_CREDENTIALS_JSON: credentialsStatus,
             clientEmail: clientEmail,
             credentialsError: credentialsError
@@ -222,25 +1318,38 @@ app.get('/api/debug', async (req, res) => {
 });
 
 
-// API to save analysis to Google Drive
-app.post('/api/save-to-drive', async (req, res) => {
-    const { filename } = req.body;
+// API to save analysis to Google Drive: plain text by default, or any export format
+app.post('/api/save-to-drive', auth.requireRole('editor'), async (req, res) => {
+    const { filename, format } = req.body;
     if (!filename) {
         return res.status(400).json({ success: false, message: 'Filename is required' });
     }
+    if (format && !isExportFormat(format)) {
+        return res.status(400).json({ success: false, message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
 
-    const fileData = processedFiles[filename];
+    const fileData = getProcessedFile(filename);
     if (!fileData) {
         return res.status(404).json({ success: false, message: 'File not found in processed files' });
     }
 
-    const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : null;
+    const driveFolderId = getDriveFolderFor(DATA_DIR, filename);
     if (!driveFolderId) {
         return res.status(500).json({ success: false, message: 'Drive folder ID not configured' });
     }
 
     try {
-        const result = await uploadSummaryToDrive(driveFolderId, filename, fileData.analysis, log);
+        let result;
+        if (format) {
+            const pdfPath = path.join(DATA_DIR, filename);
+            const exported = await exportResult(fileData, annotations.getUserAnnotations(pdfPath, filename, req.userId), format);
+            result = await uploadSummaryToDrive(driveFolderId, filename, exported.content, log, {
+                fileName: exported.fileName,
+                mimeType: exported.mimeType.split(';')[0]
+            });
+        } else {
+            result = await uploadSummaryToDrive(driveFolderId, filename, fileData.analysis, log);
+        }
         res.json({
             success: true,
             message: 'Summary saved to Google Drive successfully',
@@ -255,103 +1364,359 @@ app.post('/api/save-to-drive', async (req, res) => {
     }
 });
 
-// Helper to call Gemini with Retry
-async function callGeminiWithRetry(model, prompt, retries = 3, initialDelay = 4000) {
+// Helper to call the model with Retry
+// When any call hits a rate limit, every caller waits out the same cooldown
+// so parallel chunk requests don't keep hammering the quota.
+let modelCooldownUntil = 0;
+// Every call is recorded in the usage log (see usage.js) with the document and purpose it was for;
+// `calls` also collects the entries, for results that store their own usage.
+async function callModelWithRetry(prompt, { schema, images, document = null, purpose = 'analysis', calls = null } = {}, retries = 3, initialDelay = 4000) {
     let currentDelay = initialDelay;
 
+    const account = (tokens, attempt, latencyMs, error = null) => {
+        const entry = usage.recordUsage(DATA_DIR, {
+            provider: llm.name,
+            model: llm.model,
+            document,
+            purpose,
+            inputTokens: tokens.inputTokens,
+            outputTokens: tokens.outputTokens,
+            latencyMs,
+            retries: attempt,
+            error: error ? error.message : null
+        });
+        if (calls) calls.push(entry);
+    };
+
     for (let i = 0; i < retries; i++) {
+        const wait = modelCooldownUntil - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        const started = Date.now();
+        let tokens = { inputTokens: 0, outputTokens: 0 };
         try {
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            return response.text();
+            const text = await llm.generate(prompt, { schema, images, onUsage: reported => { tokens = reported; } });
+            account(tokens, i, Date.now() - started);
+            return text;
         } catch (error) {
             const isRateLimit = error.message.includes('429') || error.status === 429;
             const isTransient = error.message.includes('503') || error.status === 503;
 
             if ((isRateLimit || isTransient) && i < retries - 1) {
-                log(`Gemini API Error (Attempt ${i + 1}/${retries}): ${error.message}. Retrying in ${currentDelay}ms...`);
+                log(`${llm.name} API Error (Attempt ${i + 1}/${retries}): ${error.message}. Retrying in ${currentDelay}ms...`);
+                if (isRateLimit) {
+                    modelCooldownUntil = Math.max(modelCooldownUntil, Date.now() + currentDelay);
+                }
                 await new Promise(resolve => setTimeout(resolve, currentDelay));
                 // Exponential backoff with jitter
                 currentDelay = (currentDelay * 2) + Math.random() * 1000;
             } else {
+                account(tokens, i, Date.now() - started, error);
                 throw error;
             }
         }
     }
 }
 
-// Function to process PDF
-async function processPDF(filePath) {
-    const fileName = path.basename(filePath);
+function fileMd5(filePath) {
+    return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Load a result from its local JSON cache. Returns true when the cache was usable.
+// A cache is not usable once the PDF changed since it was analyzed.
+function loadCachedResult(filePath) {
+    const fileName = documentName(filePath);
     const jsonPath = filePath + '.json'; // e.g. document.pdf.json
+    if (!fs.existsSync(jsonPath)) return false;
 
-    // 1. Check for local JSON cache (Persistence Layer)
-    if (fs.existsSync(jsonPath)) {
+    try {
+        const cachedData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+
+        // Results restored from storage may not have their PDF in the working copy yet
+        const pdfChanged = cachedData.sourceMd5 && fs.existsSync(filePath) && cachedData.sourceMd5 !== fileMd5(filePath);
+        if (cachedData.stale || pdfChanged) {
+            log(`${fileName} changed since its last analysis, re-processing`);
+            return false;
+        }
+
+        // Caches from before structured output only have markdown; derive the fields in memory
+        if (!cachedData.structured && cachedData.analysis && cachedData.kind !== 'synthesis') {
+            const migrated = markdownToStructured(cachedData.analysis);
+            if (migrated) {
+                cachedData.structured = migrated;
+                cachedData.structuredSource = 'migrated';
+            }
+        }
+
+        setProcessedFile(fileName, cachedData);
+        log(`Loaded analysis from cache for ${fileName}`);
+        return true;
+    } catch (err) {
+        console.error(`Error reading cache for ${fileName}, re-processing:`, err);
+        return false;
+    }
+}
+
+// Queue a PDF for background processing (returns the existing job if one is active)
+function enqueuePDF(filePath) {
+    return jobQueue.enqueue(documentName(filePath), report => processPDF(filePath, { onProgress: report }), { type: 'process' });
+}
+
+// Load cached results straight away and queue everything else. Returns the queued jobs.
+function queueUnprocessedFiles() {
+    const jobs = [];
+    const files = fs.readdirSync(DATA_DIR, { recursive: true })
+        .filter(file => !file.split(path.sep).some(segment => segment.startsWith('.')));
+    for (const file of files) {
+        // Syntheses have no PDF, only their result file
+        if (file.endsWith(`${synthesis.SYNTHESIS_SUFFIX}.json`)) {
+            loadCachedResult(path.join(DATA_DIR, file.slice(0, -'.json'.length)));
+            continue;
+        }
+        if (!file.toLowerCase().endsWith('.pdf')) continue;
+        const filePath = path.join(DATA_DIR, file);
+        if (!loadCachedResult(filePath)) {
+            jobs.push(enqueuePDF(filePath));
+        }
+    }
+    return jobs;
+}
+
+// Build and store a cross-document synthesis (see synthesis.js) from the current results of fileNames
+async function runSynthesis(name, { mode, fileNames, title, onProgress = () => {} }) {
+    const records = fileNames.map(file => getProcessedFile(file)).filter(Boolean);
+    if (records.length !== fileNames.length) {
+        throw new Error('Some of the selected documents were removed in the meantime');
+    }
+
+    onProgress('analyzing');
+    log(`Synthesizing ${name} from ${records.length} documents...`);
+    const calls = [];
+    // Placeholders are numbered per document (see redaction.js), so the sources are moved onto one
+    // mapping of the synthesis's own; with REDACTION_ENABLED the prompt is also redacted as a whole
+    const redactor = redaction.isEnabled() || records.some(record => record.redaction) ? redaction.createRedactor() : null;
+    const sources = [];
+    for (const record of records) {
+        const stored = redactor && record.redaction ? await storage.getRecord(record.name, 'redaction') : null;
+        sources.push(stored ? redactor.translate(record, stored.placeholders) : record);
+    }
+    const modelPrompt = prompt => redactor && redaction.isEnabled() ? redactor.redact(prompt) : prompt;
+    const generate = (prompt, schema) => callModelWithRetry(modelPrompt(prompt), { schema, document: name, purpose: 'synthesis', calls });
+    const result = await synthesis.synthesizeDocuments(sources, mode, generate, {
+        maxChars: parseInt(process.env.SYNTHESIS_MAX_CHARS, 10) || undefined
+    });
+
+    const resultData = {
+        name,
+        kind: 'synthesis',
+        title,
+        mode,
+        modeLabel: synthesis.getMode(mode).label,
+        sources: fileNames,
+        timestamp: new Date(),
+        textPreview: `Synthesized from: ${fileNames.join(', ')}`,
+        provider: llm.name,
+        model: llm.model,
+        analysis: result.analysis,
+        synthesis: result.synthesis,
+        usage: usage.resultUsage(calls),
+        redaction: redactor ? redactor.report() : null
+    };
+    if (redactor) await saveRedaction(name, redactor);
+    setProcessedFile(name, resultData);
+    const jsonPath = await storage.putRecord(name, 'result', resultData);
+
+    const driveFolderId = getDriveFolderFor(DATA_DIR, name);
+    if (driveFolderId) {
+        onProgress('uploading');
         try {
-            const cachedData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-            processedFiles[fileName] = cachedData;
-            log(`Loaded analysis from cache for ${fileName}`);
-            return;
-        } catch (err) {
-            console.error(`Error reading cache for ${fileName}, re-processing:`, err);
+            const driveFile = await uploadFileToDrive(driveFolderId, jsonPath, 'application/json', log);
+            markFileAsDownloaded(DATA_DIR, driveFile, documentName(jsonPath));
+        } catch (uploadErr) {
+            console.error(`Error uploading synthesis ${name}:`, uploadErr);
         }
     }
+    log(`Finished synthesis ${name}`);
+}
+
+// Annotations live on the server only as long as the instance does (e.g. Vercel), so keep a copy
+// next to the .pdf.json cache on Drive; the next sync downloads it again
+async function uploadAnnotations(pdfPath) {
+    const driveFolderId = getDriveFolderFor(DATA_DIR, documentName(pdfPath));
+    if (!driveFolderId) return;
+    try {
+        const annotationsPath = sidecarPath(pdfPath, 'annotations');
+        const driveFile = await uploadFileToDrive(driveFolderId, annotationsPath, 'application/json', log);
+        markFileAsDownloaded(DATA_DIR, driveFile, documentName(annotationsPath));
+    } catch (err) {
+        console.error(`Error uploading annotations for ${documentName(pdfPath)}:`, err);
+    }
+}
+
+// Earlier analyses of a document, newest first, including the one about to be replaced
+function previousVersions(filePath) {
+    const previous = readSidecar(filePath, 'result');
+    if (!previous) return [];
+
+    const { versions = [], ...snapshot } = previous;
+    delete snapshot.textPreview;
+    delete snapshot.stale;
+    return [snapshot, ...versions].slice(0, MAX_ANALYSIS_VERSIONS);
+}
+
+// Function to process PDF
+// Concurrent calls for the same file (e.g. upload route + watcher) share one run
+const processingFiles = {};
+function processPDF(filePath, options = {}) {
+    const fileName = documentName(filePath);
+    if (!processingFiles[fileName]) {
+        processingFiles[fileName] = runProcessPDF(filePath, options).finally(() => {
+            delete processingFiles[fileName];
+        });
+    }
+    return processingFiles[fileName];
+}
+
+// onProgress(state, progress, message) reports the current stage: extracting, analyzing, uploading.
+// force skips the cache (re-analysis); the previous analysis is kept in `versions`.
+// pageImages overrides PAGE_IMAGES_MODE (see pageImages.js) for this run.
+async function runProcessPDF(filePath, { onProgress = () => {}, force = false, template, pageImages } = {}) {
+    const fileName = documentName(filePath);
+
+    // 1. Check for local JSON cache (Persistence Layer)
+    if (!force && loadCachedResult(filePath)) {
+        return;
+    }
+
+    // A document re-processed because it changed keeps the template it was analyzed with
+    if (!template) {
+        const previous = readSidecar(filePath, 'result');
+        template = previous && getTemplate(previous.template) ? previous.template : getDefaultTemplateId();
+    }
+    pageImages = pageImages || process.env.PAGE_IMAGES_MODE;
 
     log(`Processing ${fileName}...`);
+    if (redaction.isEnabled() && PAGE_IMAGE_MODES.includes(pageImages) && pageImages !== 'off') {
+        log(`Not sending page images of ${fileName}: they would show the personal data redaction removes from the text`);
+        pageImages = 'off';
+    }
 
     try {
+        onProgress('extracting');
+        if (!await storage.fetchPdf(fileName)) {
+            throw new Error(`${fileName} is not available in the data directory or storage`);
+        }
+        await storage.storePdf(fileName);
         const dataBuffer = fs.readFileSync(filePath);
-        const data = await pdf(dataBuffer);
-        const text = data.text;
-
-        // Analyze with Gemini
-        let analysis = "Analysis pending or failed.";
-        if (process.env.GEMINI_API_KEY) {
-            try {
-                const prompt = `
-Analyze the following text from a notebook or document PDF. Provide a comprehensive and detailed analysis.
-
-**Output Structure:**
+        // Pages without a text layer (scans, handwriting) go through local OCR
+        const { text, pages, numPages, pageSources } = await extractDocumentText(dataBuffer, {
+            logFn: log,
+            fileName,
+            onProgress: (progress, message) => onProgress('extracting', progress, message)
+        });
+        const ocrPages = pageSources.map((source, index) => source === 'ocr' ? index + 1 : null).filter(Boolean);
 
-1.  **Executive Summary**: A concise paragraph summarizing the main topic and purpose of the document.
-2.  **Detailed Key Points**: A bulleted list of the most important information, facts, or arguments presented. Be specific.
-3.  **Action Items & Deadlines**: Extract any tasks, calls to action, or specific dates/deadlines mentioned. If none, state "None identified."
-4.  **Technical/Medical Terminology**: If the text contains specialized terms (medical, legal, technical), list and briefly define them based on context.
-5.  **Unresolved Questions**: Identify any questions raised in the text that remain unanswered or require follow-up.
+        // Keep the full text next to the cache for search and follow-up questions
+        await storage.putRecord(fileName, 'text', { name: fileName, extractedAt: new Date(), pages, pageSources });
 
-**Text Content:**
-${text.substring(0, 20000)}
-`; // Increased limit for better context
+        // With REDACTION_ENABLED the model only sees placeholders for personal data (see redaction.js)
+        let modelPages = pages;
+        let redactionReport = null;
+        if (redaction.isEnabled()) {
+            const redactor = await documentRedactor(fileName);
+            modelPages = pages.map((page, index) => redactor.redact(page, index + 1));
+            redactionReport = redactor.report();
+            await saveRedaction(fileName, redactor);
+            log(`Redacted ${redactionReport.total} item(s) of personal data in ${fileName}`);
+        }
 
-                analysis = await callGeminiWithRetry(model, prompt);
+        // Analyze with the configured model (whole document, chunked by pages)
+        let analysis = "Analysis pending or failed.";
+        let structured = null;
+        let chunks = { count: 0, pageRanges: [] };
+        let aiFailure = null;
+        const usageCalls = [];
+        let images = [];
+        if (llm.isConfigured()) {
+            onProgress('analyzing', 0);
+            try {
+                // A rendering problem shouldn't cost the text analysis
+                images = await selectPageImages(dataBuffer, pageSources, { mode: pageImages, logFn: log, fileName })
+                    .catch(err => {
+                        log(`Rendering page images of ${fileName} failed: ${err.message}`);
+                        return [];
+                    });
+                if (images.length > 0) {
+                    log(`Sending ${images.length} page image(s) of ${fileName} with the text`);
+                }
+                const generate = (prompt, schema, chunkImages) => callModelWithRetry(prompt, { schema, images: chunkImages, document: fileName, purpose: 'analysis', calls: usageCalls });
+                const result = await analyzeDocument(modelPages, generate, {
+                    maxChars: parseInt(process.env.ANALYSIS_CHUNK_CHARS, 10) || undefined,
+                    concurrency: parseInt(process.env.LLM_CONCURRENCY || process.env.GEMINI_CONCURRENCY, 10) || undefined,
+                    logFn: log,
+                    fileName,
+                    template,
+                    images,
+                    onProgress: progress => onProgress('analyzing', progress)
+                });
+                analysis = result.analysis;
+                structured = result.structured;
+                chunks = result.chunks;
 
             } catch (aiError) {
                 console.error("AI Error:", aiError);
-                analysis = `Error generating AI analysis: ${aiError.message}. \n\nYou might be hitting rate limits. Please try to delete this file and upload it again locally later.`;
+                aiFailure = aiError;
+                analysis = `Error generating AI analysis: ${aiError.message}. \n\nYou might be hitting rate limits. Please use "Re-analyze" on this document later.`;
             }
         } else {
-            analysis = "API Key missing. Please add GEMINI_API_KEY to .env file.";
+            analysis = llm.missingConfigMessage;
+        }
+
+        // A failed re-analysis leaves the last good result in place instead of replacing it with the error
+        const previous = force && aiFailure ? readSidecar(filePath, 'result') : null;
+        if (previous && previous.structured) {
+            log(`Re-analysis of ${fileName} failed, keeping the previous analysis: ${aiFailure.message}`);
+            throw aiFailure;
         }
 
         const resultData = {
             name: fileName,
             timestamp: new Date(),
-            textPreview: text.substring(0, 200) + "...",
-            analysis: analysis
+            textPreview: (redactionReport ? modelPages.join('\n\n') : text).substring(0, 200) + "...",
+            pageCount: numPages,
+            ocrPages: ocrPages,
+            pageImagesMode: PAGE_IMAGE_MODES.includes(pageImages) ? pageImages : 'off',
+            imagePages: images.map(image => image.page),
+            chunksAnalyzed: chunks.count,
+            chunkPageRanges: chunks.pageRanges,
+            sourceMd5: crypto.createHash('md5').update(dataBuffer).digest('hex'),
+            template: template,
+            templateLabel: getTemplate(template).label,
+            provider: llm.name,
+            model: llm.model,
+            analysis: analysis,
+            structured: structured,
+            usage: usage.resultUsage(usageCalls),
+            redaction: redactionReport,
+            versions: previousVersions(filePath)
         };
 
-        processedFiles[fileName] = resultData;
+        setProcessedFile(fileName, resultData);
 
-        // 2. Save to local JSON cache
-        fs.writeFileSync(jsonPath, JSON.stringify(resultData, null, 2));
+        // 2. Save to local JSON cache (e.g. document.pdf.json)
+        const jsonPath = await storage.putRecord(fileName, 'result', resultData);
 
         // 3. Upload JSON cache to Drive (Persistence)
-        const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : null;
+        const driveFolderId = getDriveFolderFor(DATA_DIR, fileName);
         if (driveFolderId) {
+            onProgress('uploading');
             // We upload it as a hidden/system file effectively by naming it .json
             // This ensures that if the server restarts, we can download this JSON and skip re-processing.
             try {
-                await uploadFileToDrive(driveFolderId, jsonPath, 'application/json', log);
+                const driveFile = await uploadFileToDrive(driveFolderId, jsonPath, 'application/json', log);
+                markFileAsDownloaded(DATA_DIR, driveFile, documentName(jsonPath));
             } catch (uploadErr) {
                 console.error(`Error uploading cache for ${fileName}:`, uploadErr);
             }
@@ -359,8 +1724,14 @@ ${text.substring(0, 20000)}
 
         log(`Finished processing ${fileName}`);
 
+        // The error text is cached for display, but the job itself should report the failure
+        if (aiFailure) {
+            throw aiFailure;
+        }
+
     } catch (err) {
         console.error(`Error processing ${fileName}:`, err);
+        throw err;
     }
 }
 
@@ -368,7 +1739,9 @@ ${text.substring(0, 20000)}
 if (process.env.NODE_ENV !== 'production') {
     const watcher = chokidar.watch(DATA_DIR, {
         ignored: /(^|[\/\\])\../, // ignore dotfiles
-        persistent: true
+        persistent: true,
+        // Wait for downloads and uploads to finish writing before reacting
+        awaitWriteFinish: { stabilityThreshold: 1000, pollInterval: 200 }
     });
 
     watcher
@@ -376,61 +1749,197 @@ if (process.env.NODE_ENV !== 'production') {
             // Ignore JSON files in watcher to prevent double processing or loops
             if (filePath.endsWith('.pdf')) {
                 log(`File added: ${filePath}`);
-                processPDF(filePath);
+                enqueuePDF(filePath);
             }
         })
         .on('change', filePath => {
             if (filePath.endsWith('.pdf')) {
                 log(`File changed: ${filePath}`);
-                processPDF(filePath);
+                enqueuePDF(filePath);
+            }
+        })
+        .on('unlink', filePath => {
+            if (filePath.endsWith('.pdf')) {
+                log(`File removed: ${filePath}`);
+                removeProcessedFile(documentName(filePath));
             }
         })
         .on('error', error => console.log(`Watcher error: ${error}`));
 
     // Process existing files on startup
-    fs.readdir(DATA_DIR, (err, files) => {
-        if (err) {
-            console.error("Error reading data directory:", err);
-            return;
-        }
-        files.forEach(file => {
-            if (file.toLowerCase().endsWith('.pdf')) {
-                processPDF(path.join(DATA_DIR, file));
-            }
+    try {
+        queueUnprocessedFiles();
+    } catch (err) {
+        console.error("Error reading data directory:", err);
+    }
+}
+
+// One Drive sync at a time: manual syncs, the timer, cron calls and webhook notifications that
+// arrive while a sync runs share it. Returns { changes } (null when Drive is not configured).
+let activeDriveSync = null;
+function runDriveSync(trigger, options = {}) {
+    if (!activeDriveSync) {
+        activeDriveSync = driveSyncRun(trigger, options).finally(() => {
+            activeDriveSync = null;
         });
+    }
+    return activeDriveSync;
+}
+
+async function driveSyncRun(trigger, { full = false }) {
+    events.broadcast('sync-started', { source: trigger });
+    try {
+        const driveSources = getDriveSources();
+        let changes = null;
+        if (driveSources.length > 0) {
+            changes = await syncFromDrive(driveSources, { full });
+            // Watch channels expire after a week, so every sync checks whether it is time to renew
+            await ensureChangesWatch(DATA_DIR, log)
+                .catch(err => log(`Drive Sync: Could not watch Drive for changes: ${err.message}`));
+            // The page token and download record let the next instance continue incrementally
+            await storage.saveState();
+        } else {
+            log("Skipping Drive sync (DRIVE_FOLDER_ID / DRIVE_SOURCES not configured), processing local files only");
+        }
+        events.broadcast('sync-finished', { source: trigger, success: true });
+        return { changes };
+    } catch (error) {
+        events.broadcast('sync-finished', { source: trigger, success: false, message: error.message });
+        throw error;
+    }
+}
+
+// Sync the Drive folders and bring the local library in line with what changed there.
+// Renamed PDFs keep their results; removed ones lose them; modified ones are re-analyzed.
+async function syncFromDrive(driveSources, options) {
+    const changes = await syncDriveFiles(driveSources, DATA_DIR, log, options);
+    const isPdf = name => name.toLowerCase().endsWith('.pdf');
+
+    for (const { from, to } of changes.renamed) {
+        const fromPath = path.join(DATA_DIR, from);
+        const toPath = path.join(DATA_DIR, to);
+        if (!isPdf(from) || !isPdf(to) || !fs.existsSync(fromPath)) continue;
+
+        // A file renamed and modified at once has already been downloaded under its new name
+        if (fs.existsSync(toPath)) {
+            fs.unlinkSync(fromPath);
+        } else {
+            fs.mkdirSync(path.dirname(toPath), { recursive: true });
+            fs.renameSync(fromPath, toPath);
+        }
+        renameSidecars(fromPath, toPath, to);
+        await storage.renameDocument(from, to);
+        tasks.renameTasksForFile(DATA_DIR, from, to);
+        library.renameDocument(DATA_DIR, from, to);
+        removeProcessedFile(from);
+        loadCachedResult(toPath);
+        log(`Renamed ${from} to ${to}`);
+    }
+
+    for (const name of changes.modified.filter(isPdf)) {
+        const filePath = path.join(DATA_DIR, name);
+        const cached = readSidecar(filePath, 'result');
+        if (cached) {
+            await storage.putRecord(name, 'result', { ...cached, stale: true });
+        }
+        enqueuePDF(filePath);
+    }
+
+    for (const name of changes.removed.filter(isPdf)) {
+        const filePath = path.join(DATA_DIR, name);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        removeSidecars(filePath);
+        await storage.removeDocument(name);
+        removeProcessedFile(name);
+        log(`Removed ${name} (deleted from Drive)`);
+    }
+
+    // New PDFs are queued here as well; production has no file watcher to notice them
+    for (const name of changes.added.filter(isPdf)) {
+        enqueuePDF(path.join(DATA_DIR, name));
+    }
+
+    // Drive subfolders become collections
+    broadcastLibraryChange(library.syncDriveCollections(DATA_DIR, changes.folders));
+
+    return changes;
+}
+
+// Bring back sync state and results from the storage backend once per instance (see storage/index.js)
+let storageInitialized = false;
+let storageInitialization = null;
+function initializeStorage() {
+    if (!storageInitialization) {
+        storageInitialization = loadStoredResults()
+            .then(() => {
+                // Only once users.json had the chance to come back
+                auth.ensureBootstrapAdmin(DATA_DIR, message => console.log(message));
+                storageInitialized = true;
+            })
+            .catch(err => {
+                console.error('Error restoring from storage:', err);
+                storageInitialization = null;
+            });
+    }
+    return storageInitialization;
+}
+
+async function loadStoredResults() {
+    // Trashed documents stay in the backend until purged; the trash index comes back with the state
+    let trashed = null;
+    const names = await storage.restore({
+        skip: name => (trashed = trashed || new Set(trash.listTrash(DATA_DIR).map(entry => entry.name))).has(name)
     });
+    for (const name of names) {
+        if (!getProcessedFile(name)) {
+            loadCachedResult(path.join(DATA_DIR, name));
+        }
+    }
+    if (names.length > 0) {
+        log(`Loaded ${Object.keys(processedFiles).length} result(s) from ${storage.describe().backend} storage`);
+    }
+}
+
+// First-request sync shared by concurrent requests; retried by the next request if it fails
+let driveSyncStartup = null;
+function startDriveSync() {
+    if (!driveSyncStartup) {
+        driveSyncStartup = initializeDriveSync().finally(() => {
+            driveSyncStartup = null;
+        });
+    }
+    return driveSyncStartup;
 }
 
 // Initialize Drive Sync on startup (works in both local and Vercel)
 async function initializeDriveSync() {
-    const driveFolderId = process.env.DRIVE_FOLDER_ID ? process.env.DRIVE_FOLDER_ID.trim() : null;
-    if (driveFolderId) {
-        log(`Starting Drive Sync for folder: ${driveFolderId} to ${DATA_DIR}`);
+    const driveSources = getDriveSources();
+    if (driveSources.length > 0) {
+        log(`Starting Drive Sync for folder${driveSources.length === 1 ? '' : 's'}: ${driveSources.map(source => source.folderId).join(', ')} to ${DATA_DIR}`);
 
         // Initial sync (downloads PDFs AND JSONs)
-        await syncDriveFiles(driveFolderId, DATA_DIR, log);
+        await runDriveSync('startup');
 
-        // Explicitly process files after sync
-        log("Drive Sync complete. Processing downloaded files...");
+        // Load cached analyses now and queue the rest in the background
+        log("Drive Sync complete. Queueing downloaded files...");
         try {
-            const files = fs.readdirSync(DATA_DIR);
-            for (const file of files) {
-                if (file.toLowerCase().endsWith('.pdf')) {
-                    await processPDF(path.join(DATA_DIR, file));
-                }
-            }
+            queueUnprocessedFiles();
         } catch (err) {
             console.error("Error processing synced files:", err);
         }
 
-        // Poll every 5 minutes (only in local dev)
-        if (process.env.NODE_ENV !== 'production') {
-            setInterval(() => {
-                syncDriveFiles(driveFolderId, DATA_DIR, log);
+        // Poll every 5 minutes (only in local dev); serverless deployments call /api/sync/scheduled
+        if (process.env.NODE_ENV !== 'production' && !driveSyncTimer) {
+            driveSyncTimer = setInterval(() => {
+                runDriveSync('scheduled')
+                    .then(() => purgeExpiredTrash())
+                    .catch(err => console.error('Scheduled Drive sync failed:', err));
             }, 5 * 60 * 1000);
         }
     } else {
-        log("Drive Sync skipped: DRIVE_FOLDER_ID not set");
+        log("Drive Sync skipped: DRIVE_FOLDER_ID / DRIVE_SOURCES not set");
     }
     driveSyncInitialized = true;
 }
@@ -439,8 +1948,8 @@ async function initializeDriveSync() {
 if (process.env.NODE_ENV !== 'production') {
     app.listen(port, () => {
         console.log(`Server running at http://localhost:${port}`);
-        // Initialize Drive Sync immediately in local dev
-        initializeDriveSync();
+        // Initialize storage and Drive Sync immediately in local dev
+        initializeStorage().then(() => startDriveSync());
     });
 }
 
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// Job lifecycle: queued -> extracting -> analyzing -> uploading -> done | failed
+const ACTIVE_STATES = ['queued', 'extracting', 'analyzing', 'uploading'];
+const MAX_FINISHED_JOBS = 200;
+
+// onChange(job) is called after every state change, e.g. to push updates to the dashboard.
+// pauseReason() is asked before each job starts; while it returns a reason, queued jobs wait
+// (running ones finish) until resume() finds the reason gone.
+function createJobQueue({ concurrency = 1, logFn = console.log, onChange = () => {}, pauseReason = () => null } = {}) {
+    const jobs = new Map(); // id -> job (insertion order = creation order)
+    const tasks = new Map(); // id -> task function, only while queued
+    const pending = []; // ids waiting for a worker
+    let running = 0;
+    let pausedFor = null;
+
+    function isActive(job) {
+        return ACTIVE_STATES.includes(job.state);
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        onChange(job);
+    }
+
+    function pruneFinished() {
+        const finished = [...jobs.values()].filter(job => !isActive(job));
+        const excess = finished.length - MAX_FINISHED_JOBS;
+        for (let i = 0; i < excess; i++) {
+            jobs.delete(finished[i].id);
+        }
+    }
+
+    async function runJob(job) {
+        const task = tasks.get(job.id);
+        tasks.delete(job.id);
+        update(job, { startedAt: new Date().toISOString() });
+
+        // Tasks report their stage and an optional 0..1 progress within it
+        const report = (state, progress = null, message = null) => {
+            update(job, { state, progress, message });
+        };
+
+        try {
+            await task(report);
+            update(job, { state: 'done', progress: 1, message: null, finishedAt: new Date().toISOString() });
+        } catch (err) {
+            logFn(`Job ${job.id} (${job.file}) failed: ${err.message}`);
+            update(job, { state: 'failed', error: { message: err.message }, finishedAt: new Date().toISOString() });
+        }
+    }
+
+    // Returns true while paused, logging when the pause starts and ends
+    function checkPaused() {
+        const reason = pauseReason();
+        if (reason && !pausedFor) logFn(`Job queue paused: ${reason}`);
+        if (!reason && pausedFor) logFn('Job queue resumed');
+        pausedFor = reason || null;
+        return !!pausedFor;
+    }
+
+    function drain() {
+        while (running < concurrency && pending.length > 0) {
+            if (checkPaused()) return;
+            const job = jobs.get(pending.shift());
+            if (!job) continue;
+            running++;
+            runJob(job).finally(() => {
+                running--;
+                pruneFinished();
+                drain();
+            });
+        }
+    }
+
+    // Queue work for a file. If that file already has an active job, the existing job is returned.
+    function enqueue(file, task, meta = {}) {
+        const existing = findActiveJob(file);
+        if (existing) return existing;
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            file,
+            ...meta,
+            state: 'queued',
+            progress: null,
+            message: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+        jobs.set(job.id, job);
+        tasks.set(job.id, task);
+        pending.push(job.id);
+        onChange(job);
+        drain();
+        return job;
+    }
+
+    function findActiveJob(file) {
+        return [...jobs.values()].find(job => job.file === file && isActive(job)) || null;
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    function listJobs() {
+        return [...jobs.values()].reverse();
+    }
+
+    function getPauseReason() {
+        return pausedFor;
+    }
+
+    return { enqueue, getJob, listJobs, findActiveJob, isActive, resume: drain, getPauseReason };
+}
+
+module.exports = { createJobQueue, ACTIVE_STATES };
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Tags and collections of the whole library, shared by all users, in DATA_DIR/library.json:
+// { collections: { [id]: { name, source: 'user' | 'drive', drivePath, createdAt } },
+//   documents: { [fileName]: { tags, tagsEdited, collections: [id], driveCollection } } }
+// Tags suggested by the analysis are applied until someone edits the tags by hand.
+// Drive collections mirror the Drive subfolder a document lives in and are maintained by sync only.
+
+const MAX_TAGS = 12;
+const MAX_TAG_LENGTH = 40;
+const MAX_COLLECTION_NAME_LENGTH = 100;
+
+function getLibraryPath(dataDir) {
+    return path.join(dataDir, 'library.json');
+}
+
+function loadLibrary(dataDir) {
+    const libraryPath = getLibraryPath(dataDir);
+    if (fs.existsSync(libraryPath)) {
+        try {
+            const library = JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+            return { collections: library.collections || {}, documents: library.documents || {} };
+        } catch (err) {
+            console.error('Error reading library.json:', err);
+        }
+    }
+    return { collections: {}, documents: {} };
+}
+
+function saveLibrary(dataDir, library) {
+    fs.writeFileSync(getLibraryPath(dataDir), JSON.stringify(library, null, 2));
+}
+
+function emptyDocument() {
+    return { tags: [], tagsEdited: false, collections: [], driveCollection: null };
+}
+
+// Lowercase, single-spaced, deduplicated; invalid entries are dropped
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const normalized = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.toLowerCase().replace(/^#/, '').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(normalized)].slice(0, MAX_TAGS);
+}
+
+// What the API and dashboard show for one document, from an already loaded library
+function documentMetadata(library, fileName) {
+    const entry = { ...emptyDocument(), ...library.documents[fileName] };
+    const collections = [...entry.collections, entry.driveCollection]
+        .filter(id => id && library.collections[id]);
+    return { tags: entry.tags, tagsEdited: entry.tagsEdited, collections: [...new Set(collections)] };
+}
+
+function getDocumentMetadata(dataDir, fileName) {
+    return documentMetadata(loadLibrary(dataDir), fileName);
+}
+
+function updateDocument(dataDir, fileName, change) {
+    const library = loadLibrary(dataDir);
+    const entry = { ...emptyDocument(), ...library.documents[fileName] };
+    change(entry, library);
+    library.documents[fileName] = entry;
+    saveLibrary(dataDir, library);
+    return documentMetadata(library, fileName);
+}
+
+function setDocumentTags(dataDir, fileName, tags) {
+    if (!Array.isArray(tags)) throw new Error('tags must be a list of strings');
+    return updateDocument(dataDir, fileName, entry => {
+        entry.tags = normalizeTags(tags);
+        entry.tagsEdited = true;
+    });
+}
+
+// Only user collections can be assigned; Drive collections follow the folder
+function setDocumentCollections(dataDir, fileName, collectionIds) {
+    if (!Array.isArray(collectionIds)) throw new Error('collections must be a list of collection ids');
+    return updateDocument(dataDir, fileName, (entry, library) => {
+        const unknown = collectionIds.filter(id => !library.collections[id] || library.collections[id].source !== 'user');
+        if (unknown.length > 0) throw new Error(`Unknown collection: ${unknown.join(', ')}`);
+        entry.collections = [...new Set(collectionIds)];
+    });
+}
+
+// Returns true when the document's tags changed
+function applySuggestedTags(dataDir, fileName, suggestedTags) {
+    const library = loadLibrary(dataDir);
+    const entry = { ...emptyDocument(), ...library.documents[fileName] };
+    const tags = normalizeTags(suggestedTags);
+    if (entry.tagsEdited || JSON.stringify(entry.tags) === JSON.stringify(tags)) return false;
+
+    entry.tags = tags;
+    library.documents[fileName] = entry;
+    saveLibrary(dataDir, library);
+    return true;
+}
+
+function driveCollectionId(drivePath) {
+    return 'drive-' + crypto.createHash('sha1').update(drivePath).digest('hex').substring(0, 12);
+}
+
+// Put each document into the collection of its Drive subfolder ({ [fileName]: 'Projects/Alpha' },
+// '' for the root folder). Returns the names of documents whose collections changed.
+function syncDriveCollections(dataDir, folders) {
+    const library = loadLibrary(dataDir);
+    const changed = [];
+
+    for (const [fileName, drivePath] of Object.entries(folders)) {
+        const id = drivePath ? driveCollectionId(drivePath) : null;
+        if (id && !library.collections[id]) {
+            library.collections[id] = {
+                name: drivePath.split('/').join(' / '),
+                source: 'drive',
+                drivePath,
+                createdAt: new Date().toISOString()
+            };
+        }
+        const entry = { ...emptyDocument(), ...library.documents[fileName] };
+        if (entry.driveCollection !== id) {
+            entry.driveCollection = id;
+            library.documents[fileName] = entry;
+            changed.push(fileName);
+        }
+    }
+
+    // Drive collections whose folder no longer holds any document go away
+    const used = new Set(Object.values(library.documents).map(entry => entry.driveCollection));
+    for (const [id, collection] of Object.entries(library.collections)) {
+        if (collection.source === 'drive' && !used.has(id)) delete library.collections[id];
+    }
+
+    saveLibrary(dataDir, library);
+    return changed;
+}
+
+function validateCollectionName(library, name, exceptId) {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+    if (name.trim().length > MAX_COLLECTION_NAME_LENGTH) throw new Error(`name is longer than ${MAX_COLLECTION_NAME_LENGTH} characters`);
+    const duplicate = Object.entries(library.collections)
+        .find(([id, collection]) => id !== exceptId && collection.name.toLowerCase() === name.trim().toLowerCase());
+    if (duplicate) throw new Error(`A collection named "${name.trim()}" already exists`);
+}
+
+// Collections with the number of documents in each, sorted by name
+function listCollections(dataDir, fileNames) {
+    const library = loadLibrary(dataDir);
+    const counts = {};
+    for (const fileName of fileNames) {
+        for (const id of documentMetadata(library, fileName).collections) {
+            counts[id] = (counts[id] || 0) + 1;
+        }
+    }
+    return Object.entries(library.collections)
+        .map(([id, collection]) => ({ id, ...collection, count: counts[id] || 0 }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Tags in use with their document counts, most used first
+function listTags(dataDir, fileNames) {
+    const library = loadLibrary(dataDir);
+    const counts = {};
+    for (const fileName of fileNames) {
+        for (const tag of documentMetadata(library, fileName).tags) {
+            counts[tag] = (counts[tag] || 0) + 1;
+        }
+    }
+    return Object.entries(counts)
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+function createCollection(dataDir, name) {
+    const library = loadLibrary(dataDir);
+    validateCollectionName(library, name);
+    const id = crypto.randomBytes(6).toString('hex');
+    library.collections[id] = { name: name.trim(), source: 'user', drivePath: null, createdAt: new Date().toISOString() };
+    saveLibrary(dataDir, library);
+    return { id, ...library.collections[id] };
+}
+
+// Returns null for an unknown collection; throws for Drive collections and invalid names
+function renameCollection(dataDir, id, name) {
+    const library = loadLibrary(dataDir);
+    const collection = library.collections[id];
+    if (!collection) return null;
+    if (collection.source !== 'user') throw new Error('Drive collections are named after their folder');
+    validateCollectionName(library, name, id);
+    collection.name = name.trim();
+    saveLibrary(dataDir, library);
+    return { id, ...collection };
+}
+
+function deleteCollection(dataDir, id) {
+    const library = loadLibrary(dataDir);
+    const collection = library.collections[id];
+    if (!collection) return false;
+    if (collection.source !== 'user') throw new Error('Drive collections follow the folder tree; move the files on Drive instead');
+    delete library.collections[id];
+    for (const entry of Object.values(library.documents)) {
+        entry.collections = (entry.collections || []).filter(other => other !== id);
+    }
+    saveLibrary(dataDir, library);
+    return true;
+}
+
+function removeDocument(dataDir, fileName) {
+    const library = loadLibrary(dataDir);
+    if (!library.documents[fileName]) return;
+    delete library.documents[fileName];
+    saveLibrary(dataDir, library);
+}
+
+// Put back the entry saved when the document went to the trash
+function restoreDocument(dataDir, fileName, entry) {
+    if (!entry) return;
+    const library = loadLibrary(dataDir);
+    library.documents[fileName] = { ...emptyDocument(), ...entry };
+    saveLibrary(dataDir, library);
+}
+
+function renameDocument(dataDir, fromName, toName) {
+    const library = loadLibrary(dataDir);
+    if (!library.documents[fromName]) return;
+    library.documents[toName] = library.documents[fromName];
+    delete library.documents[fromName];
+    saveLibrary(dataDir, library);
+}
+
+module.exports = {
+    normalizeTags,
+    loadLibrary,
+    documentMetadata,
+    getDocumentMetadata,
+    setDocumentTags,
+    setDocumentCollections,
+    applySuggestedTags,
+    syncDriveCollections,
+    listCollections,
+    listTags,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    removeDocument,
+    restoreDocument,
+    renameDocument
+};
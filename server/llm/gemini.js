@@ -0,0 +1,53 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+// Google Gemini through @google/generative-ai. Schemas are passed as responseSchema,
+// which uses the same OpenAPI subset as ANALYSIS_SCHEMA.
+function createGeminiProvider({ model = process.env.LLM_MODEL || DEFAULT_MODEL, apiKey = process.env.GEMINI_API_KEY } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey || 'API_KEY_MISSING');
+    const generativeModel = genAI.getGenerativeModel({ model });
+
+    return {
+        name: 'gemini',
+        model,
+        isConfigured: () => !!apiKey,
+        missingConfigMessage: 'API Key missing. Please add GEMINI_API_KEY to .env file.',
+
+        async generate(prompt, { schema, images = [], onUsage = () => {} } = {}) {
+            const parts = [{ text: prompt }];
+            for (const image of images) {
+                parts.push({ text: `[Page ${image.page} image]` }, { inlineData: { mimeType: image.mimeType, data: image.data } });
+            }
+            const request = {
+                contents: [{ role: 'user', parts }],
+                ...(schema && { generationConfig: { responseMimeType: 'application/json', responseSchema: schema } })
+            };
+            const result = await generativeModel.generateContent(request);
+            const response = await result.response;
+            if (response.usageMetadata) {
+                onUsage({
+                    inputTokens: response.usageMetadata.promptTokenCount || 0,
+                    outputTokens: response.usageMetadata.candidatesTokenCount || 0
+                });
+            }
+            return response.text();
+        },
+
+        // Models that support generateContent
+        async listModels() {
+            const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
+            const data = await response.json();
+            if (!response.ok) {
+                const error = new Error((data.error && data.error.message) || `Listing models failed with ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return (data.models || [])
+                .filter(m => m.supportedGenerationMethods && m.supportedGenerationMethods.includes('generateContent'))
+                .map(m => ({ id: m.name.replace(/^models\//, ''), name: m.displayName, description: m.description }));
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,25 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// Text generation backends. Every provider has the same shape:
+// { name, model, isConfigured(), missingConfigMessage, generate(prompt, { schema, images, onUsage }) -> text, listModels() }
+// `images` ([{ page, mimeType, data (base64) }]) need a vision-capable model.
+// `onUsage({ inputTokens, outputTokens })` is called with the token counts the API reports for the call.
+// Errors from rate limits and overloads carry `status` 429 / 503 so callers can retry them.
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAICompatibleProvider,
+    mock: createMockProvider
+};
+
+// Provider selected by LLM_PROVIDER (default gemini) and LLM_MODEL
+function createProvider(name = process.env.LLM_PROVIDER || 'gemini', options = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { PROVIDERS, createProvider };
@@ -0,0 +1,111 @@
+// Deterministic provider for tests and offline development: answers are derived from the
+// prompt text only, so the same prompt always produces the same output and no network is used.
+
+function pageLines(prompt) {
+    const lines = [];
+    let page = null;
+    for (const raw of prompt.split('\n')) {
+        const marker = raw.match(/^\[Page (\d+)\]/);
+        if (marker) {
+            page = parseInt(marker[1], 10);
+            continue;
+        }
+        const text = raw.trim();
+        if (page && text) lines.push({ page, text });
+    }
+    return lines;
+}
+
+// Partial analyses embedded as JSON lines, as in the merge prompt of a chunked document
+function embeddedPartials(prompt) {
+    return prompt.split('\n')
+        .filter(line => line.trim().startsWith('{'))
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(partial => partial && typeof partial.summary === 'string');
+}
+
+// Most common longer words, as stand-in topic tags
+function frequentWords(text, count) {
+    const counts = {};
+    for (const word of text.toLowerCase().match(/[a-z]{6,}/g) || []) {
+        counts[word] = (counts[word] || 0) + 1;
+    }
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, count)
+        .map(([word]) => word);
+}
+
+function mockAnalysis(prompt, images) {
+    const partials = embeddedPartials(prompt);
+    if (partials.length > 0) {
+        const merged = field => partials.flatMap(partial => partial[field] || []);
+        return {
+            summary: partials.map(partial => partial.summary).join(' '),
+            keyPoints: merged('keyPoints'),
+            actionItems: merged('actionItems'),
+            glossary: merged('glossary'),
+            openQuestions: merged('openQuestions'),
+            figures: merged('figures'),
+            tags: [...new Set(merged('tags'))]
+        };
+    }
+
+    const lines = pageLines(prompt);
+    const first = lines[0];
+    return {
+        summary: first ? `Mock summary: ${first.text.substring(0, 200)}` : 'Mock summary of an empty document.',
+        keyPoints: lines.slice(0, 5).map(line => ({ text: line.text.substring(0, 200), page: line.page })),
+        actionItems: lines
+            .filter(line => /\b(todo|action|due|deadline|must|should)\b/i.test(line.text))
+            .slice(0, 5)
+            .map(line => ({ text: line.text.substring(0, 200), owner: null, dueDate: (line.text.match(/\d{4}-\d{2}-\d{2}/) || [null])[0], page: line.page })),
+        glossary: [],
+        openQuestions: lines
+            .filter(line => line.text.endsWith('?'))
+            .slice(0, 5)
+            .map(line => ({ text: line.text.substring(0, 200), page: line.page })),
+        tags: frequentWords(lines.map(line => line.text).join(' '), 3),
+        figures: images.map(image => ({
+            description: `Mock description of the page image (${Math.round(image.data.length * 3 / 4 / 1024)} KB)`,
+            kind: 'page',
+            page: image.page
+        }))
+    };
+}
+
+function createMockProvider({ model = 'mock' } = {}) {
+    return {
+        name: 'mock',
+        model,
+        isConfigured: () => true,
+        missingConfigMessage: '',
+
+        async generate(prompt, { schema, images = [], onUsage = () => {} } = {}) {
+            let text;
+            if (schema) {
+                text = JSON.stringify(mockAnalysis(prompt, images));
+            } else {
+                const first = pageLines(prompt)[0];
+                text = first
+                    ? `Mock answer: ${first.text.substring(0, 200)} [p. ${first.page}]`
+                    : 'Mock answer: the excerpts do not contain the answer.';
+            }
+            // Roughly four characters per token, so usage accounting can be tried offline
+            onUsage({ inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) });
+            return text;
+        },
+
+        async listModels() {
+            return [{ id: model, name: 'Mock model', description: 'Deterministic offline responses' }];
+        }
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,96 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Gemini-style schemas mark optional values with `nullable: true`; JSON Schema wants a type union
+function toJsonSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const { nullable, ...rest } = schema;
+    const converted = {};
+    for (const [key, value] of Object.entries(rest)) {
+        converted[key] = key === 'properties'
+            ? Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)]))
+            : toJsonSchema(value);
+    }
+    if (nullable && typeof converted.type === 'string') {
+        converted.type = [converted.type, 'null'];
+    }
+    return converted;
+}
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, llama.cpp's server,
+// Ollama (http://localhost:11434/v1), vLLM, LM Studio...
+// OPENAI_JSON_MODE picks how structured output is requested: schema (default), object or none,
+// for servers that don't support json_schema.
+function createOpenAICompatibleProvider({
+    model = process.env.LLM_MODEL || DEFAULT_MODEL,
+    baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+    apiKey = process.env.OPENAI_API_KEY,
+    jsonMode = process.env.OPENAI_JSON_MODE || 'schema',
+    timeout = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 300000
+} = {}) {
+    const client = axios.create({
+        baseURL: baseUrl.replace(/\/$/, ''),
+        timeout,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+
+    // Keep the status on the error so the retry logic can recognize 429 and 503
+    async function request(method, url, data) {
+        try {
+            const response = await client.request({ method, url, data });
+            return response.data;
+        } catch (err) {
+            const body = err.response && err.response.data;
+            const detail = body && body.error ? (body.error.message || JSON.stringify(body.error)) : err.message;
+            const error = new Error(err.response ? `[${err.response.status}] ${detail}` : detail);
+            error.status = err.response ? err.response.status : undefined;
+            throw error;
+        }
+    }
+
+    return {
+        name: 'openai',
+        model,
+        // Local servers usually need no key; only the public OpenAI endpoint requires one
+        isConfigured: () => !!apiKey || baseUrl !== DEFAULT_BASE_URL,
+        missingConfigMessage: 'API Key missing. Please add OPENAI_API_KEY (or OPENAI_BASE_URL for a local server) to .env file.',
+
+        async generate(prompt, { schema, images = [], onUsage = () => {} } = {}) {
+            // Vision models take the images as data URLs in a content array
+            const content = images.length === 0 ? prompt : [
+                { type: 'text', text: prompt },
+                ...images.flatMap(image => [
+                    { type: 'text', text: `[Page ${image.page} image]` },
+                    { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+                ])
+            ];
+            const body = { model, messages: [{ role: 'user', content }] };
+            if (schema && jsonMode === 'schema') {
+                body.response_format = { type: 'json_schema', json_schema: { name: 'analysis', schema: toJsonSchema(schema) } };
+            } else if (schema && jsonMode === 'object') {
+                body.response_format = { type: 'json_object' };
+            }
+
+            const data = await request('post', '/chat/completions', body);
+            const choice = data.choices && data.choices[0];
+            if (!choice || !choice.message) {
+                throw new Error('Model returned no choices');
+            }
+            if (data.usage) {
+                onUsage({ inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 });
+            }
+            return choice.message.content || '';
+        },
+
+        async listModels() {
+            const data = await request('get', '/models');
+            return (data.data || []).map(m => ({ id: m.id, name: m.id, description: m.owned_by ? `Owned by ${m.owned_by}` : undefined }));
+        }
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider, toJsonSchema };
@@ -0,0 +1,110 @@
+const { createWorker } = require('tesseract.js');
+const { extractPages } = require('./analysis');
+const { renderPages } = require('./pageImages');
+
+// OCR fallback for scanned notebooks: pages whose text layer is (nearly) empty are rendered with
+// MuPDF (WASM) and read with Tesseract (WASM). Everything runs locally, including the language data
+// when the matching @tesseract.js-data/<lang> package is installed.
+
+const DEFAULT_MIN_CHARS = 20; // Fewer non-whitespace characters than this and the page counts as scanned
+const DEFAULT_DPI = 200;
+const DEFAULT_MAX_PAGES = 100;
+
+function ocrOptions() {
+    return {
+        enabled: process.env.OCR_ENABLED !== 'false',
+        lang: process.env.OCR_LANG || 'eng',
+        minChars: parseInt(process.env.OCR_MIN_CHARS, 10) || DEFAULT_MIN_CHARS,
+        dpi: parseInt(process.env.OCR_DPI, 10) || DEFAULT_DPI,
+        maxPages: parseInt(process.env.OCR_MAX_PAGES, 10) || DEFAULT_MAX_PAGES
+    };
+}
+
+// Bundled traineddata for the first language if available; otherwise OCR_LANG_PATH or Tesseract's default
+function languageDataOptions(lang) {
+    if (process.env.OCR_LANG_PATH) {
+        return { langPath: process.env.OCR_LANG_PATH };
+    }
+    try {
+        const data = require(`@tesseract.js-data/${lang.split('+')[0]}`);
+        return { langPath: data.langPath, gzip: data.gzip };
+    } catch (err) {
+        return {};
+    }
+}
+
+function needsOcr(pageText, minChars) {
+    return (pageText || '').replace(/\s/g, '').length < minChars;
+}
+
+// OCR the given 1-based page numbers. Returns { [pageNumber]: text }.
+async function ocrPages(dataBuffer, pageNumbers, { lang, dpi, onPage = () => {} }) {
+    const worker = await createWorker(lang, 1, { cacheMethod: 'none', ...languageDataOptions(lang) });
+    const results = {};
+
+    try {
+        await renderPages(dataBuffer, pageNumbers, {
+            dpi,
+            gray: true,
+            onPage: async (i, total, pageNumber, png) => {
+                onPage(i, total, pageNumber);
+                const { data } = await worker.recognize(png);
+                results[pageNumber] = data.text.trim();
+            }
+        });
+    } finally {
+        await worker.terminate();
+    }
+    return results;
+}
+
+// extractPages plus OCR for pages without a usable text layer.
+// Returns { text, pages, numPages, pageSources: ['text' | 'ocr' | 'empty', ...] } in page order.
+// onProgress(fraction, message) reports OCR progress.
+async function extractDocumentText(dataBuffer, { logFn = console.log, fileName = 'document', onProgress = () => {} } = {}) {
+    const extracted = await extractPages(dataBuffer);
+    const options = ocrOptions();
+    const pageSources = extracted.pages.map(pageText => pageText.trim() ? 'text' : 'empty');
+
+    const candidates = extracted.pages
+        .map((pageText, index) => needsOcr(pageText, options.minChars) ? index + 1 : null)
+        .filter(Boolean);
+    if (!options.enabled || candidates.length === 0) {
+        return { ...extracted, pageSources };
+    }
+
+    const selected = candidates.slice(0, options.maxPages);
+    if (selected.length < candidates.length) {
+        logFn(`OCR: ${fileName} has ${candidates.length} pages without text, only the first ${selected.length} are OCR'd (OCR_MAX_PAGES)`);
+    }
+    logFn(`OCR: reading ${selected.length} scanned page(s) of ${fileName}...`);
+
+    let ocrText;
+    try {
+        ocrText = await ocrPages(dataBuffer, selected, {
+            lang: options.lang,
+            dpi: options.dpi,
+            onPage: (done, total, pageNumber) => onProgress(done / total, `OCR page ${pageNumber} (${done + 1}/${total})`)
+        });
+    } catch (err) {
+        // Keep the text layer we have rather than failing the whole document
+        logFn(`OCR failed for ${fileName}: ${err.message}`);
+        return { ...extracted, pageSources };
+    }
+
+    // Keep whatever the text layer had when OCR finds even less
+    const pages = extracted.pages.map((pageText, index) => {
+        const recognized = ocrText[index + 1];
+        if (recognized && recognized.length > pageText.trim().length) {
+            pageSources[index] = 'ocr';
+            return recognized;
+        }
+        return pageText;
+    });
+
+    const ocrCount = pageSources.filter(source => source === 'ocr').length;
+    logFn(`OCR: recognized text on ${ocrCount} of ${selected.length} page(s) of ${fileName}`);
+    return { text: pages.join('\n\n'), pages, numPages: extracted.numPages, pageSources };
+}
+
+module.exports = { extractDocumentText, needsOcr };
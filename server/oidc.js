@@ -0,0 +1,86 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { ROLES } = require('./auth');
+
+// Optional single sign-on through any OpenID Connect provider (authorization code flow).
+// Configured with OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET; OIDC_REDIRECT_URI defaults
+// to <origin>/api/auth/oidc/callback.
+
+let discoveryCache = null;
+
+function isOidcEnabled() {
+    return !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET);
+}
+
+async function discover() {
+    const issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+    if (!discoveryCache || discoveryCache.issuer !== issuer) {
+        const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+        discoveryCache = { issuer, config: response.data };
+    }
+    return discoveryCache.config;
+}
+
+function getRedirectUri(req) {
+    return process.env.OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+}
+
+// Returns { url, state } — state must come back unchanged on the callback
+async function buildAuthorizationUrl(req) {
+    const config = await discover();
+    const state = crypto.randomBytes(16).toString('hex');
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: process.env.OIDC_CLIENT_ID,
+        redirect_uri: getRedirectUri(req),
+        scope: process.env.OIDC_SCOPES || 'openid email profile',
+        state
+    });
+    return { url: `${config.authorization_endpoint}?${params}`, state };
+}
+
+// Exchange the callback code for tokens and return the provider's user info ({ sub, email, ... }).
+// The tokens come straight from the token endpoint over TLS, so user info is trusted as returned.
+async function completeLogin(req, code) {
+    const config = await discover();
+    const tokenResponse = await axios.post(config.token_endpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: getRedirectUri(req),
+        client_id: process.env.OIDC_CLIENT_ID,
+        client_secret: process.env.OIDC_CLIENT_SECRET
+    }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+    });
+
+    const userInfo = await axios.get(config.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokenResponse.data.access_token}` },
+        timeout: 10000
+    });
+    return userInfo.data;
+}
+
+// Local username for a provider account: the email when available, otherwise the subject.
+// Throws for an email the provider hasn't verified: some let users enter any address.
+function usernameFor(userInfo) {
+    if (userInfo.email && userInfo.email_verified !== true) {
+        throw new Error(`The identity provider has not verified ${userInfo.email}`);
+    }
+    const raw = userInfo.email || `oidc-${userInfo.sub}`;
+    return raw.replace(/[^\w.@-]/g, '_').substring(0, 64);
+}
+
+// Role for a first-time SSO user: admin for OIDC_ADMIN_EMAILS, OIDC_DEFAULT_ROLE (viewer) otherwise
+function initialRoleFor(userInfo) {
+    const admins = (process.env.OIDC_ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+    if (userInfo.email && userInfo.email_verified === true && admins.includes(userInfo.email.toLowerCase())) return 'admin';
+    const role = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+    if (!ROLES.includes(role)) {
+        console.error(`OIDC_DEFAULT_ROLE "${role}" is not one of ${ROLES.join(', ')}; using viewer`);
+        return 'viewer';
+    }
+    return role;
+}
+
+module.exports = { isOidcEnabled, buildAuthorizationUrl, completeLogin, usernameFor, initialRoleFor };
@@ -0,0 +1,109 @@
+// Page rendering with MuPDF (WASM), shared by OCR and the multimodal analysis mode.
+// PAGE_IMAGES_MODE picks which pages are sent to the model as images, to keep the cost down:
+//   off (default) - text only
+//   figures       - pages that draw images or at least PAGE_IMAGES_MIN_PATHS vector paths
+//   scanned       - pages whose text came from OCR or that have no text at all
+//   all           - every page
+// At most PAGE_IMAGES_MAX_PAGES (20) pages are sent, rendered at PAGE_IMAGES_DPI (100).
+
+const MODES = ['off', 'figures', 'scanned', 'all'];
+const DEFAULT_MIN_PATHS = 20;
+const DEFAULT_DPI = 100;
+const DEFAULT_MAX_PAGES = 20;
+
+function pageImageOptions(mode = process.env.PAGE_IMAGES_MODE) {
+    return {
+        mode: MODES.includes(mode) ? mode : 'off',
+        minPaths: parseInt(process.env.PAGE_IMAGES_MIN_PATHS, 10) || DEFAULT_MIN_PATHS,
+        dpi: parseInt(process.env.PAGE_IMAGES_DPI, 10) || DEFAULT_DPI,
+        maxPages: parseInt(process.env.PAGE_IMAGES_MAX_PAGES, 10) || DEFAULT_MAX_PAGES
+    };
+}
+
+// mupdf is published as an ES module only
+let mupdfModule = null;
+async function loadMupdf() {
+    if (!mupdfModule) mupdfModule = await import('mupdf');
+    return mupdfModule;
+}
+
+// Render 1-based page numbers to PNG. Calls onPage(index, total, pageNumber, png) for each page
+// so callers can process one image at a time instead of holding them all.
+async function renderPages(dataBuffer, pageNumbers, { dpi = DEFAULT_DPI, gray = false, onPage }) {
+    const mupdf = await loadMupdf();
+    const doc = mupdf.Document.openDocument(dataBuffer, 'application/pdf');
+    const scale = dpi / 72;
+    try {
+        for (const [i, pageNumber] of pageNumbers.entries()) {
+            const page = doc.loadPage(pageNumber - 1);
+            const colorSpace = gray ? mupdf.ColorSpace.DeviceGray : mupdf.ColorSpace.DeviceRGB;
+            const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), colorSpace, false, true);
+            const png = Buffer.from(pixmap.asPNG());
+            pixmap.destroy();
+            page.destroy();
+            await onPage(i, pageNumbers.length, pageNumber, png);
+        }
+    } finally {
+        doc.destroy();
+    }
+}
+
+// 1-based numbers of the pages that draw raster images or enough vector paths to be a diagram
+async function findFigurePages(dataBuffer, minPaths = DEFAULT_MIN_PATHS) {
+    const mupdf = await loadMupdf();
+    const doc = mupdf.Document.openDocument(dataBuffer, 'application/pdf');
+    const pages = [];
+    try {
+        for (let i = 0; i < doc.countPages(); i++) {
+            let images = 0;
+            let paths = 0;
+            const device = new mupdf.Device({
+                fillPath: () => { paths++; },
+                strokePath: () => { paths++; },
+                fillShade: () => { paths++; },
+                fillImage: () => { images++; },
+                fillImageMask: () => { images++; }
+            });
+            const page = doc.loadPage(i);
+            page.run(device, mupdf.Matrix.identity);
+            device.close();
+            page.destroy();
+            if (images > 0 || paths >= minPaths) pages.push(i + 1);
+        }
+    } finally {
+        doc.destroy();
+    }
+    return pages;
+}
+
+// Page images to send with the analysis: [{ page, mimeType, data (base64) }].
+// pageSources comes from extractDocumentText.
+async function selectPageImages(dataBuffer, pageSources, { mode, logFn = console.log, fileName = 'document' } = {}) {
+    const options = pageImageOptions(mode);
+    if (options.mode === 'off') return [];
+
+    let candidates;
+    if (options.mode === 'all') {
+        candidates = pageSources.map((source, index) => index + 1);
+    } else if (options.mode === 'scanned') {
+        candidates = pageSources.map((source, index) => source !== 'text' ? index + 1 : null).filter(Boolean);
+    } else {
+        candidates = await findFigurePages(dataBuffer, options.minPaths);
+    }
+
+    const selected = candidates.slice(0, options.maxPages);
+    if (selected.length < candidates.length) {
+        logFn(`Page images: ${fileName} has ${candidates.length} matching pages, only the first ${selected.length} are sent (PAGE_IMAGES_MAX_PAGES)`);
+    }
+
+    const images = [];
+    await renderPages(dataBuffer, selected, {
+        dpi: options.dpi,
+        onPage: (i, total, page, png) => {
+            images.push({ page, mimeType: 'image/png', data: png.toString('base64') });
+        }
+    });
+    return images;
+}
+
+module.exports = { MODES, loadMupdf, renderPages, findFigurePages, selectPageImages };
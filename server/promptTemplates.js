@@ -0,0 +1,84 @@
+// Named analysis prompt templates. Every template has the same five section roles
+// (summary, key points, action items, terminology, open questions) so results stay comparable.
+
+const TEMPLATES = {
+    notebook: {
+        label: 'Notebook / general document',
+        intro: 'Analyze the following text from a notebook or document PDF. Provide a comprehensive and detailed analysis.',
+        sections: {
+            summary: ['Executive Summary', 'A concise paragraph summarizing the main topic and purpose of the document.'],
+            keyPoints: ['Detailed Key Points', 'A bulleted list of the most important information, facts, or arguments presented. Be specific.'],
+            actionItems: ['Action Items & Deadlines', 'Extract any tasks, calls to action, or specific dates/deadlines mentioned.'],
+            terminology: ['Technical/Medical Terminology', 'If the text contains specialized terms (medical, legal, technical), list and briefly define them based on context.'],
+            openQuestions: ['Unresolved Questions', 'Identify any questions raised in the text that remain unanswered or require follow-up.']
+        }
+    },
+    'meeting-notes': {
+        label: 'Meeting notes',
+        intro: 'Analyze the following meeting notes. Focus on what was decided and who has to do what.',
+        sections: {
+            summary: ['Meeting Summary', 'One paragraph: purpose of the meeting, participants if named, and the overall outcome.'],
+            keyPoints: ['Decisions & Discussion Points', 'A bulleted list of decisions made and the main points discussed, with who raised them if stated.'],
+            actionItems: ['Action Items & Owners', 'Every task with its owner and due date if mentioned.'],
+            terminology: ['Terms & Acronyms', 'Project names, acronyms and jargon used in the meeting, briefly explained from context.'],
+            openQuestions: ['Open Questions & Parking Lot', 'Topics deferred, disagreements left open, and questions that need an answer before the next meeting.']
+        }
+    },
+    'lecture-notes': {
+        label: 'Lecture / study notes',
+        intro: 'Analyze the following lecture or study notes as a tutor preparing a student for an exam.',
+        sections: {
+            summary: ['Lecture Overview', 'A concise paragraph describing the subject and the learning goals covered.'],
+            keyPoints: ['Key Concepts', 'A bulleted list of the core concepts, formulas, examples and arguments, explained clearly.'],
+            actionItems: ['Assignments & Deadlines', 'Homework, readings, exams and other dated tasks mentioned.'],
+            terminology: ['Glossary', 'Definitions of the technical terms introduced in the notes.'],
+            openQuestions: ['Review Questions', 'Questions left open in the notes, plus points the student should review or clarify.']
+        }
+    },
+    'medical-record': {
+        label: 'Medical record',
+        intro: 'Analyze the following medical record. Be precise and do not add medical advice beyond what the text states.',
+        sections: {
+            summary: ['Clinical Summary', 'A concise paragraph covering the reason for the visit or record, and the overall assessment.'],
+            keyPoints: ['Findings, Diagnoses & Medications', 'A bulleted list of diagnoses, test results, vital signs, medications and dosages as written.'],
+            actionItems: ['Follow-up & Appointments', 'Follow-up visits, tests to schedule, medication changes and their dates.'],
+            terminology: ['Medical Terminology', 'Medical terms and abbreviations in the record, each with a plain-language definition.'],
+            openQuestions: ['Questions for the Care Team', 'Unclear findings, pending results and questions worth asking the provider.']
+        }
+    },
+    'legal-contract': {
+        label: 'Legal contract',
+        intro: 'Analyze the following legal contract. Quote clause numbers where available and do not give legal advice.',
+        sections: {
+            summary: ['Contract Overview', 'The parties, the purpose of the agreement, its term and governing law in one paragraph.'],
+            keyPoints: ['Key Terms & Obligations', 'A bulleted list of each party\'s obligations, payment terms, warranties, liability limits and termination rights.'],
+            actionItems: ['Deadlines, Renewal & Notice Dates', 'Every date, notice period and renewal or termination deadline.'],
+            terminology: ['Defined Terms', 'Capitalized defined terms and legal jargon, with their meaning in this contract.'],
+            openQuestions: ['Risks & Ambiguities', 'Unusual or one-sided clauses, missing provisions and wording that could be read more than one way.']
+        }
+    }
+};
+
+const DEFAULT_TEMPLATE = 'notebook';
+const SECTION_ROLES = ['summary', 'keyPoints', 'actionItems', 'terminology', 'openQuestions'];
+
+// Own keys only, so ids from requests such as "constructor" aren't taken for templates
+function getTemplate(id) {
+    return Object.hasOwn(TEMPLATES, id) ? TEMPLATES[id] : null;
+}
+
+function getDefaultTemplateId() {
+    const configured = process.env.DEFAULT_TEMPLATE;
+    return configured && getTemplate(configured) ? configured : DEFAULT_TEMPLATE;
+}
+
+function listTemplates() {
+    return Object.entries(TEMPLATES).map(([id, template]) => ({
+        id,
+        label: template.label,
+        sections: SECTION_ROLES.map(role => template.sections[role][0]),
+        isDefault: id === getDefaultTemplateId()
+    }));
+}
+
+module.exports = { TEMPLATES, SECTION_ROLES, getTemplate, getDefaultTemplateId, listTemplates };
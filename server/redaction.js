@@ -0,0 +1,246 @@
+const fs = require('fs');
+
+// Optional pass that replaces personal data in document text with placeholders before it goes to the model
+// (REDACTION_ENABLED=true). A placeholder such as [EMAIL_1] stands for the same value everywhere in a
+// document, its re-analyses and its chat, because the mapping is kept in the document's redaction record:
+// { name, placeholders: { "[EMAIL_1]": { type: "email", value: "jane@example.com" } }, updatedAt }
+// The analysis keeps the placeholders; users with REDACTION_REVEAL_ROLE (default admin) see the values.
+//
+// REDACTION_TYPES      built-in detectors to run (comma-separated, default all of BUILT_IN_TYPES)
+// REDACTION_TERMS      dictionary terms, comma-separated (names, clients, projects); matched case-insensitively
+// REDACTION_TERMS_FILE file with one more term per line
+// REDACTION_PATTERNS   custom regular expressions by label, e.g. {"case-number": "CASE-\\d{6}"}
+
+const MONTHS = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const DATE = `(?:\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}|\\d{1,2}\\.? ${MONTHS}\\.?,? \\d{4}|${MONTHS}\\.? \\d{1,2},? \\d{4})`;
+const STREET_TYPES = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Close|Crescent)';
+
+const digits = value => value.replace(/\D/g, '');
+
+// Card numbers are only redacted when the Luhn checksum holds, so other long numbers stay readable
+function passesLuhn(value) {
+    const number = digits(value);
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+        let digit = Number(number[number.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// In the order they claim text: an earlier detector wins where matches overlap.
+// group picks the part of the match to replace (dates of birth keep their label); normalize decides
+// which spellings of a value share a placeholder.
+const DETECTORS = [
+    {
+        type: 'email',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+        normalize: value => value.toLowerCase()
+    },
+    {
+        type: 'card',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        valid: passesLuhn,
+        normalize: digits
+    },
+    {
+        // US social security and UK national insurance numbers
+        type: 'national-id',
+        pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D])\b/g,
+        normalize: value => value.replace(/[\s-]/g, '').toUpperCase()
+    },
+    {
+        type: 'date-of-birth',
+        pattern: new RegExp(`\\b(?:date of birth|birth ?date|DOB|D\\.O\\.B\\.?|born(?: on)?)\\s*[:.-]?\\s*(${DATE})`, 'gid'),
+        group: 1
+    },
+    {
+        // 9 to 15 digits in groups, optionally with a country code or area code in brackets
+        type: 'phone',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?![\w-])/g,
+        valid: value => digits(value).length >= 9 && digits(value).length <= 15,
+        normalize: digits
+    },
+    {
+        type: 'address',
+        pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]? (?:[A-Z][a-z]+ ){1,4}${STREET_TYPES}\\b(?:,? (?:Apt|Suite|Unit)\\.? ?[\\w-]+)?`, 'g')
+    }
+];
+
+const BUILT_IN_TYPES = DETECTORS.map(detector => detector.type);
+
+const PLACEHOLDER_PATTERN = /\[[A-Z0-9_]+_\d+\]/g;
+
+const defaultNormalize = value => value.toLowerCase().replace(/\s+/g, ' ');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function placeholderPrefix(type) {
+    return type.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function listSetting(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function loadTerms() {
+    const terms = listSetting(process.env.REDACTION_TERMS);
+    const file = process.env.REDACTION_TERMS_FILE;
+    if (file) {
+        try {
+            terms.push(...fs.readFileSync(file, 'utf8').split('\n').map(line => line.trim()).filter(Boolean));
+        } catch (err) {
+            console.error(`Error reading REDACTION_TERMS_FILE ${file}:`, err.message);
+        }
+    }
+    return terms;
+}
+
+function loadPatterns() {
+    if (!process.env.REDACTION_PATTERNS) return [];
+    try {
+        return Object.entries(JSON.parse(process.env.REDACTION_PATTERNS)).map(([label, source]) => ({
+            type: label,
+            pattern: new RegExp(source, 'g')
+        }));
+    } catch (err) {
+        console.error('REDACTION_PATTERNS is not valid JSON of label -> regular expression:', err.message);
+        return [];
+    }
+}
+
+// Detectors in effect: dictionary terms first, then custom patterns, then the selected built-in ones
+function getDetectors() {
+    const types = process.env.REDACTION_TYPES ? listSetting(process.env.REDACTION_TYPES) : BUILT_IN_TYPES;
+    const unknown = types.filter(type => !BUILT_IN_TYPES.includes(type));
+    if (unknown.length > 0) {
+        console.error(`Unknown REDACTION_TYPES ignored: ${unknown.join(', ')}. Use any of: ${BUILT_IN_TYPES.join(', ')}`);
+    }
+
+    const terms = loadTerms().sort((a, b) => b.length - a.length);
+    return [
+        ...(terms.length > 0 ? [{ type: 'term', pattern: new RegExp(`(?<!\\w)(?:${terms.map(escapeRegExp).join('|')})(?!\\w)`, 'gi') }] : []),
+        ...loadPatterns(),
+        ...DETECTORS.filter(detector => types.includes(detector.type))
+    ];
+}
+
+function isEnabled() {
+    return process.env.REDACTION_ENABLED === 'true';
+}
+
+function getRevealRole() {
+    return process.env.REDACTION_REVEAL_ROLE || 'admin';
+}
+
+// Redacts text with the placeholders of one document. placeholders is the stored mapping and grows
+// with every new value; report() is what the result records (types, counts and pages, never the values).
+function createRedactor(placeholders = {}, detectors = getDetectors()) {
+    const keyOf = (detector, value) => `${detector.type}\u0000${(detector.normalize || defaultNormalize)(value)}`;
+    const byValue = new Map();
+    const counters = {};
+    const found = {};
+
+    const count = placeholder => Number(placeholder.match(/_(\d+)\]$/)[1]);
+    for (const [placeholder, { type, value }] of Object.entries(placeholders)) {
+        const detector = detectors.find(d => d.type === type) || { type };
+        byValue.set(keyOf(detector, value), placeholder);
+        const prefix = placeholderPrefix(type);
+        counters[prefix] = Math.max(counters[prefix] || 0, count(placeholder));
+    }
+
+    function placeholderFor(detector, value) {
+        const key = keyOf(detector, value);
+        if (!byValue.has(key)) {
+            const prefix = placeholderPrefix(detector.type);
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            const placeholder = `[${prefix}_${counters[prefix]}]`;
+            byValue.set(key, placeholder);
+            placeholders[placeholder] = { type: detector.type, value };
+        }
+        return byValue.get(key);
+    }
+
+    // page (1-based) is only recorded in the report; pass null for text that isn't a page
+    function redact(text, page = null) {
+        // Placeholders already in the text (e.g. earlier answers in a chat prompt) are never matched again
+        const taken = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+        const overlaps = (start, end) => taken.some(range => start < range.end && end > range.start);
+        const spans = [];
+
+        for (const detector of detectors) {
+            for (const match of text.matchAll(detector.pattern)) {
+                const [start, end] = detector.group ? match.indices[detector.group] : [match.index, match.index + match[0].length];
+                const value = text.substring(start, end);
+                if (!value || overlaps(start, end) || (detector.valid && !detector.valid(value))) continue;
+                taken.push({ start, end });
+                spans.push({ start, end, detector, value });
+            }
+        }
+
+        spans.sort((a, b) => a.start - b.start);
+        let redacted = '';
+        let position = 0;
+        for (const { start, end, detector, value } of spans) {
+            const placeholder = placeholderFor(detector, value);
+            redacted += text.substring(position, start) + placeholder;
+            position = end;
+            record(placeholder, detector.type, page);
+        }
+        return redacted + text.substring(position);
+    }
+
+    function record(placeholder, type, page) {
+        const item = found[placeholder] || (found[placeholder] = { placeholder, type, pages: [], occurrences: 0 });
+        item.occurrences++;
+        if (page && !item.pages.includes(page)) item.pages.push(page);
+    }
+
+    // Copy of data (any JSON value) redacted by another redactor, with its placeholders swapped for
+    // this one's: sources of a synthesis each number their own, so [EMAIL_1] may be someone else in each
+    function translate(data, otherPlaceholders) {
+        return replacePlaceholders(data, placeholder => {
+            const entry = otherPlaceholders[placeholder];
+            if (!entry) return placeholder;
+            const own = placeholderFor(detectors.find(detector => detector.type === entry.type) || { type: entry.type }, entry.value);
+            record(own, entry.type, null);
+            return own;
+        });
+    }
+
+    function report() {
+        const items = Object.values(found).sort((a, b) => a.type.localeCompare(b.type) || count(a.placeholder) - count(b.placeholder));
+        const counts = {};
+        for (const item of items) {
+            counts[item.type] = (counts[item.type] || 0) + item.occurrences;
+        }
+        return {
+            types: [...new Set(detectors.map(detector => detector.type))],
+            total: items.reduce((sum, item) => sum + item.occurrences, 0),
+            counts,
+            items
+        };
+    }
+
+    return { redact, translate, report, placeholders };
+}
+
+// Copy of data (any JSON value) with each placeholder replaced by replacement(placeholder)
+function replacePlaceholders(data, replacement) {
+    const json = JSON.stringify(data).replace(PLACEHOLDER_PATTERN, placeholder => JSON.stringify(replacement(placeholder)).slice(1, -1));
+    return JSON.parse(json);
+}
+
+// Copy of data with every known placeholder replaced by its original value
+function revealPlaceholders(data, placeholders) {
+    if (!placeholders || Object.keys(placeholders).length === 0) return data;
+    return replacePlaceholders(data, placeholder => placeholders[placeholder] ? placeholders[placeholder].value : placeholder);
+}
+
+module.exports = { BUILT_IN_TYPES, getDetectors, isEnabled, getRevealRole, createRedactor, revealPlaceholders };
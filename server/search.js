@@ -0,0 +1,283 @@
+// In-process full-text index over extracted PDF pages and AI analyses.
+// Each page (and each analysis) is one searchable unit; results are grouped per file.
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+    'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+    'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_RADIUS = 80;
+
+// Split text into lower-cased word tokens with their character offsets
+function tokenize(text) {
+    const tokens = [];
+    const regex = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const word = match[0].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        tokens.push({ word, start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function hasVowel(word) {
+    return /[aeiouy]/.test(word);
+}
+
+// Light suffix-stripping stemmer (Porter step 1 plus a few common derivational suffixes).
+// Good enough to match "meetings"/"meeting", "reviewed"/"review", "studies"/"study".
+function stem(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+    let w = word;
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = w.slice(0, -3) + 'y';
+    else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) w = w.slice(0, -1);
+
+    for (const suffix of ['ingly', 'edly', 'ing', 'ed']) {
+        if (w.endsWith(suffix) && hasVowel(w.slice(0, -suffix.length)) && w.length - suffix.length >= 3) {
+            w = w.slice(0, -suffix.length);
+            // hopping -> hop, planned -> plan
+            if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+            break;
+        }
+    }
+
+    for (const suffix of ['ational', 'ization', 'fulness', 'ousness', 'iveness', 'ment', 'ness', 'ly']) {
+        if (w.endsWith(suffix) && w.length - suffix.length >= 4) {
+            w = w.slice(0, -suffix.length);
+            break;
+        }
+    }
+
+    return w;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "budget review" -> terms; "\"project alpha\" budget" -> phrase + term
+function parseQuery(query) {
+    const phrases = [];
+    const terms = [];
+
+    const withoutPhrases = query.replace(/"([^"]+)"/g, (m, phrase) => {
+        const words = tokenize(phrase).map(t => stem(t.word));
+        if (words.length > 1) phrases.push(words);
+        else if (words.length === 1) terms.push(words[0]);
+        return ' ';
+    });
+
+    for (const token of tokenize(withoutPhrases)) {
+        if (!STOPWORDS.has(token.word)) terms.push(stem(token.word));
+    }
+
+    return { terms: [...new Set(terms)], phrases };
+}
+
+function createSearchIndex() {
+    const units = new Map(); // unitId -> { file, page, field, text, length }
+    const postings = new Map(); // term -> Map(unitId -> [positions])
+    const unitsByFile = new Map(); // file -> [unitIds]
+    let totalLength = 0;
+
+    function addUnit(file, page, field, text) {
+        if (!text || !text.trim()) return;
+        const unitId = `${file}\u0000${field}\u0000${page || 0}`;
+        const tokens = tokenize(text);
+
+        units.set(unitId, { file, page, field, text, length: tokens.length });
+        unitsByFile.get(file).push(unitId);
+        totalLength += tokens.length;
+
+        tokens.forEach((token, position) => {
+            const term = stem(token.word);
+            if (!postings.has(term)) postings.set(term, new Map());
+            const termPostings = postings.get(term);
+            if (!termPostings.has(unitId)) termPostings.set(unitId, []);
+            termPostings.get(unitId).push(position);
+        });
+    }
+
+    function removeDocument(file) {
+        const unitIds = unitsByFile.get(file);
+        if (!unitIds) return;
+
+        for (const unitId of unitIds) {
+            totalLength -= units.get(unitId).length;
+            units.delete(unitId);
+        }
+        const removed = new Set(unitIds);
+        for (const [term, termPostings] of postings) {
+            for (const unitId of termPostings.keys()) {
+                if (removed.has(unitId)) termPostings.delete(unitId);
+            }
+            if (termPostings.size === 0) postings.delete(term);
+        }
+        unitsByFile.delete(file);
+    }
+
+    // pages: array of page texts (page 1 first); analysis: the AI analysis text
+    function addDocument(file, { pages = [], analysis = '' } = {}) {
+        removeDocument(file);
+        unitsByFile.set(file, []);
+        pages.forEach((text, index) => addUnit(file, index + 1, 'text', text));
+        addUnit(file, null, 'analysis', analysis);
+    }
+
+    function hasDocument(file) {
+        return unitsByFile.has(file);
+    }
+
+    function phraseMatches(unitId, phrase) {
+        const first = postings.get(phrase[0]);
+        if (!first || !first.has(unitId)) return 0;
+
+        let count = 0;
+        for (const start of first.get(unitId)) {
+            const matchesAll = phrase.every((term, offset) => {
+                const termPostings = postings.get(term);
+                return termPostings && termPostings.has(unitId) && termPostings.get(unitId).includes(start + offset);
+            });
+            if (matchesAll) count++;
+        }
+        return count;
+    }
+
+    function idf(term) {
+        const df = postings.has(term) ? postings.get(term).size : 0;
+        return Math.log(1 + (units.size - df + 0.5) / (df + 0.5));
+    }
+
+    function bm25(tf, unitLength, termIdf) {
+        const avgLength = units.size ? totalLength / units.size : 1;
+        return termIdf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * unitLength / avgLength));
+    }
+
+    // Snippet around the first matching token, HTML-escaped, with matches wrapped in <mark>
+    function buildSnippet(text, matchTerms) {
+        const tokens = tokenize(text);
+        const isMatch = token => matchTerms.has(stem(token.word));
+        const first = tokens.find(isMatch);
+        if (!first) return escapeHtml(text.substring(0, SNIPPET_RADIUS * 2));
+
+        const from = Math.max(0, first.start - SNIPPET_RADIUS);
+        const to = Math.min(text.length, first.end + SNIPPET_RADIUS);
+
+        let snippet = from > 0 ? '…' : '';
+        let cursor = from;
+        for (const token of tokens) {
+            if (token.start < from || token.end > to || !isMatch(token)) continue;
+            snippet += escapeHtml(text.substring(cursor, token.start));
+            snippet += `<mark>${escapeHtml(text.substring(token.start, token.end))}</mark>`;
+            cursor = token.end;
+        }
+        snippet += escapeHtml(text.substring(cursor, to));
+        if (to < text.length) snippet += '…';
+        return snippet.replace(/\s+/g, ' ');
+    }
+
+    // All terms and phrases must occur in a unit (AND). Results are ranked per file.
+    function search(query, { limit = 20, matchesPerFile = 3, files = null } = {}) {
+        const { terms, phrases } = parseQuery(query || '');
+        if (terms.length === 0 && phrases.length === 0) return [];
+
+        const required = [...terms, ...phrases.map(p => p[0])];
+        let candidates = null;
+        for (const term of required) {
+            const termPostings = postings.get(term);
+            const ids = new Set(termPostings ? termPostings.keys() : []);
+            candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+        }
+
+        const matchTerms = new Set([...terms, ...phrases.flat()]);
+        const byFile = new Map();
+
+        for (const unitId of candidates || []) {
+            const unit = units.get(unitId);
+            if (files && !files.includes(unit.file)) continue;
+
+            let score = 0;
+            for (const term of terms) {
+                score += bm25(postings.get(term).get(unitId).length, unit.length, idf(term));
+            }
+            let phraseOk = true;
+            for (const phrase of phrases) {
+                const count = phraseMatches(unitId, phrase);
+                if (count === 0) {
+                    phraseOk = false;
+                    break;
+                }
+                // A phrase hit is worth more than its words scattered around the page
+                score += 2 * phrase.reduce((sum, term) => sum + bm25(count, unit.length, idf(term)), 0);
+            }
+            if (!phraseOk) continue;
+
+            if (!byFile.has(unit.file)) byFile.set(unit.file, []);
+            byFile.get(unit.file).push({ unitId, unit, score });
+        }
+
+        const results = [];
+        for (const [file, hits] of byFile) {
+            hits.sort((a, b) => b.score - a.score);
+            // Best unit dominates; other matching pages add a little
+            const score = hits[0].score + 0.1 * hits.slice(1).reduce((sum, h) => sum + h.score, 0);
+            results.push({
+                name: file,
+                score: Math.round(score * 1000) / 1000,
+                matchCount: hits.length,
+                pages: [...new Set(hits.filter(h => h.unit.page).map(h => h.unit.page))].sort((a, b) => a - b),
+                matches: hits.slice(0, matchesPerFile).map(h => ({
+                    field: h.unit.field,
+                    page: h.unit.page,
+                    score: Math.round(h.score * 1000) / 1000,
+                    snippet: buildSnippet(h.unit.text, matchTerms)
+                }))
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, limit);
+    }
+
+    // Rank the units of one file against free text (any term may match), for question answering
+    function retrieve(file, query, { limit = 5 } = {}) {
+        const unitIds = unitsByFile.get(file) || [];
+        const { terms, phrases } = parseQuery(query || '');
+        const queryTerms = [...new Set([...terms, ...phrases.flat()])];
+
+        const scored = unitIds.map(unitId => {
+            const unit = units.get(unitId);
+            let score = 0;
+            for (const term of queryTerms) {
+                const termPostings = postings.get(term);
+                if (termPostings && termPostings.has(unitId)) {
+                    score += bm25(termPostings.get(unitId).length, unit.length, idf(term));
+                }
+            }
+            return { field: unit.field, page: unit.page, text: unit.text, score };
+        });
+
+        return scored
+            .filter(unit => unit.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    function stats() {
+        return { documents: unitsByFile.size, units: units.size, terms: postings.size };
+    }
+
+    return { addDocument, removeDocument, hasDocument, search, retrieve, stats };
+}
+
+module.exports = { createSearchIndex, tokenize, stem, parseQuery, escapeHtml };
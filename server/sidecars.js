@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-document files stored next to the PDF, e.g. notes.pdf -> notes.pdf.json, notes.pdf.text.json, notes.pdf.chat.json
+const SIDECAR_SUFFIXES = {
+    result: '.json',
+    text: '.text.json',
+    chat: '.chat.json',
+    annotations: '.annotations.json',
+    redaction: '.redaction.json'
+};
+
+function sidecarPath(pdfPath, kind) {
+    const suffix = SIDECAR_SUFFIXES[kind];
+    if (!suffix) throw new Error(`Unknown sidecar kind: ${kind}`);
+    return pdfPath + suffix;
+}
+
+function readSidecar(pdfPath, kind) {
+    const filePath = sidecarPath(pdfPath, kind);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        console.error(`Error reading ${filePath}:`, err);
+        return null;
+    }
+}
+
+function writeSidecar(pdfPath, kind, data) {
+    const filePath = sidecarPath(pdfPath, kind);
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+}
+
+// Remove every sidecar of a document. Returns the paths that existed.
+function removeSidecars(pdfPath) {
+    const removed = [];
+    for (const kind of Object.keys(SIDECAR_SUFFIXES)) {
+        const filePath = sidecarPath(pdfPath, kind);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            removed.push(filePath);
+        }
+    }
+    return removed;
+}
+
+// Move every sidecar along with a renamed document, updating the name stored inside
+// (the document name, which includes the folder for files below the data directory root)
+function renameSidecars(fromPdfPath, toPdfPath, newName = path.basename(toPdfPath)) {
+    for (const kind of Object.keys(SIDECAR_SUFFIXES)) {
+        const data = readSidecar(fromPdfPath, kind);
+        if (!data) continue;
+        writeSidecar(toPdfPath, kind, { ...data, name: newName });
+        fs.unlinkSync(sidecarPath(fromPdfPath, kind));
+    }
+}
+
+module.exports = { SIDECAR_SUFFIXES, sidecarPath, readSidecar, writeSidecar, removeSidecars, renameSidecars };
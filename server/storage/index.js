@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { SIDECAR_SUFFIXES, sidecarPath, readSidecar, writeSidecar } = require('../sidecars');
+const { createLocalStore } = require('./local');
+
+// Where PDFs, per-document records (the sidecars: result, text, chat, annotations, redaction) and sync state
+// outlive the instance. The data directory stays the working copy the rest of the server reads;
+// the storage writes through to the selected backend and restores what is missing after a cold start.
+// Every backend has the same shape:
+// { name, persistent, describe(), putPdf(name, filePath), getPdf(name, filePath) -> bool, listPdfs(),
+//   putRecord(name, kind, json), getRecord(name, kind) -> json, listRecords() -> [{ name, kind }],
+//   removeDocument(name), putState(key, buffer), getState(key) -> buffer }
+// The S3 and SQLite drivers are only loaded when their backend is selected.
+const BACKENDS = {
+    local: createLocalStore,
+    s3: options => require('./s3').createS3Store(options),
+    sqlite: options => require('./sqlite').createSqliteStore(options)
+};
+
+// State in the data directory that a fresh instance needs: Drive sync (see driveSync.js), accounts,
+// tags and collections, tasks, the usage and audit logs, and the trash index, whose documents stay in
+// the backend under their names until they are purged. The generated .auth-secret is left out on
+// purpose; set AUTH_SECRET where sessions have to outlive an instance.
+// Each file is uploaded whole whenever it changed, logs included, and there is no merging: with
+// several instances on one backend, the last one to save a file wins and the others' changes to it are lost.
+const STATE_FILES = [
+    'downloaded_files.json',
+    'drive_changes.json',
+    'users.json',
+    'library.json',
+    'tasks.json',
+    'usage.log',
+    'audit.log',
+    '.trash/index.json'
+];
+
+const RESTORE_CONCURRENCY = 8;
+
+function stateVersion(filePath) {
+    const stat = fs.statSync(filePath);
+    return `${stat.mtimeMs}:${stat.size}`;
+}
+
+function isStoredName(name) {
+    return typeof name === 'string' && !name.includes('\\') && name.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+}
+
+// Storage selected by STORAGE_BACKEND (default local)
+function createStorage({ dataDir, backend = process.env.STORAGE_BACKEND || 'local', logFn = console.log }) {
+    const factory = Object.hasOwn(BACKENDS, backend) ? BACKENDS[backend] : null;
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    const store = factory({ dataDir });
+    const storedPdfs = new Set(); // PDFs the backend has, whether or not they are in the working copy
+    const savedState = new Map(); // state file -> mtime and size of the version the backend has
+
+    const localPath = name => path.join(dataDir, name);
+
+    // The working copy already has the data, so a failing backend is logged instead of failing the request
+    async function attempt(description, action, fallback = null) {
+        try {
+            return await action();
+        } catch (err) {
+            logFn(`Storage (${store.name}): could not ${description}: ${err.message}`);
+            return fallback;
+        }
+    }
+
+    async function persistRecord(name, kind) {
+        const filePath = sidecarPath(localPath(name), kind);
+        if (!store.persistent || !fs.existsSync(filePath)) return;
+        await attempt(`save the ${kind} of ${name}`, () => store.putRecord(name, kind, fs.readFileSync(filePath, 'utf8')));
+    }
+
+    // Path of the PDF in the working copy, downloaded from the backend if needed; null when neither has it
+    async function fetchPdf(name) {
+        const filePath = localPath(name);
+        if (fs.existsSync(filePath)) return filePath;
+        if (!storedPdfs.has(name)) return null;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        return await attempt(`fetch ${name}`, async () => await store.getPdf(name, filePath) ? filePath : null);
+    }
+
+    // Working copy first, else the backend (cached locally); null when missing
+    async function getRecord(name, kind) {
+        const local = readSidecar(localPath(name), kind);
+        if (local || !store.persistent) return local;
+        const json = await attempt(`read the ${kind} of ${name}`, () => store.getRecord(name, kind));
+        if (!json) return null;
+        fs.mkdirSync(path.dirname(localPath(name)), { recursive: true });
+        fs.writeFileSync(sidecarPath(localPath(name), kind), json);
+        return JSON.parse(json);
+    }
+
+    async function storePdf(name) {
+        if (!store.persistent || !fs.existsSync(localPath(name))) return;
+        await attempt(`save ${name}`, async () => {
+            await store.putPdf(name, localPath(name));
+            storedPdfs.add(name);
+        });
+    }
+
+    // Persist the PDF and every record of a document from the working copy
+    async function storeDocument(name) {
+        if (!store.persistent) return;
+        await storePdf(name);
+        for (const kind of Object.keys(SIDECAR_SUFFIXES)) {
+            await persistRecord(name, kind);
+        }
+    }
+
+    // Bring the PDF and every record of a document into the working copy, as far as the backend has them
+    async function fetchDocument(name) {
+        if (!store.persistent) return;
+        await fetchPdf(name);
+        for (const kind of Object.keys(SIDECAR_SUFFIXES)) {
+            await getRecord(name, kind);
+        }
+    }
+
+    async function removeDocument(name) {
+        storedPdfs.delete(name);
+        if (!store.persistent) return;
+        await attempt(`remove ${name}`, () => store.removeDocument(name));
+    }
+
+    return {
+        describe: () => store.describe(),
+
+        // Persist the working copy of a PDF (after an upload or download)
+        storePdf,
+
+        fetchPdf,
+
+        hasPdf: name => fs.existsSync(localPath(name)) || storedPdfs.has(name),
+
+        // Every PDF in the working copy or the backend: [{ name, size, modified, local, stored }]
+        async listPdfs() {
+            const pdfs = {};
+            const localFiles = fs.readdirSync(dataDir, { recursive: true })
+                .map(file => file.split(path.sep).join('/'))
+                .filter(file => file.toLowerCase().endsWith('.pdf') && !file.split('/').some(segment => segment.startsWith('.')));
+            for (const name of localFiles) {
+                const stat = fs.statSync(localPath(name));
+                pdfs[name] = { name, size: stat.size, modified: stat.mtime, local: true, stored: !store.persistent };
+            }
+            if (store.persistent) {
+                for (const pdf of await attempt('list PDFs', () => store.listPdfs(), [])) {
+                    pdfs[pdf.name] = { ...pdf, ...pdfs[pdf.name], local: !!pdfs[pdf.name], stored: true };
+                }
+            }
+            return Object.values(pdfs).sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        // Write a record to the working copy and the backend. Returns the local file path.
+        async putRecord(name, kind, data) {
+            const filePath = writeSidecar(localPath(name), kind, data);
+            await persistRecord(name, kind);
+            return filePath;
+        },
+
+        // Persist a record someone else wrote to the working copy (e.g. annotations.js)
+        persistRecord,
+
+        getRecord,
+        fetchDocument,
+        storeDocument,
+        removeDocument,
+
+        // Move a document in the backend after it was renamed in the working copy
+        async renameDocument(fromName, toName) {
+            if (!store.persistent) return;
+            await removeDocument(fromName);
+            await storeDocument(toName);
+        },
+
+        // Upload the state files that changed since they were last saved or restored
+        async saveState() {
+            if (!store.persistent) return;
+            for (const key of STATE_FILES) {
+                const filePath = path.join(dataDir, key);
+                if (!fs.existsSync(filePath)) continue;
+                const version = stateVersion(filePath);
+                if (savedState.get(key) === version) continue;
+                await attempt(`save ${key}`, async () => {
+                    await store.putState(key, fs.readFileSync(filePath));
+                    savedState.set(key, version);
+                });
+            }
+        },
+
+        // After a cold start: bring back state and every record missing from the working copy.
+        // PDFs stay in the backend until fetchPdf asks for them. skip(name), asked once the state is back,
+        // leaves documents out (those in the trash). Returns the names of stored results.
+        async restore({ skip = () => false } = {}) {
+            if (!store.persistent) return [];
+
+            for (const key of STATE_FILES) {
+                const filePath = path.join(dataDir, key);
+                if (fs.existsSync(filePath)) continue;
+                const body = await attempt(`read ${key}`, () => store.getState(key));
+                if (!body) continue;
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, body);
+                savedState.set(key, stateVersion(filePath));
+            }
+
+            for (const pdf of await attempt('list PDFs', () => store.listPdfs(), [])) {
+                storedPdfs.add(pdf.name);
+            }
+
+            const records = (await attempt('list records', () => store.listRecords(), []))
+                .filter(({ name, kind }) => isStoredName(name) && SIDECAR_SUFFIXES[kind] && !skip(name));
+            const missing = records.filter(({ name, kind }) => !fs.existsSync(sidecarPath(localPath(name), kind)));
+            for (let i = 0; i < missing.length; i += RESTORE_CONCURRENCY) {
+                await Promise.all(missing.slice(i, i + RESTORE_CONCURRENCY).map(async ({ name, kind }) => {
+                    const json = await attempt(`read the ${kind} of ${name}`, () => store.getRecord(name, kind));
+                    if (!json) return;
+                    fs.mkdirSync(path.dirname(localPath(name)), { recursive: true });
+                    fs.writeFileSync(sidecarPath(localPath(name), kind), json);
+                }));
+            }
+            if (missing.length > 0) {
+                logFn(`Storage (${store.name}): restored ${missing.length} record(s)`);
+            }
+            return [...new Set(records.filter(record => record.kind === 'result').map(record => record.name))];
+        }
+    };
+}
+
+module.exports = { BACKENDS, STATE_FILES, createStorage };
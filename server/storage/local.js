@@ -0,0 +1,20 @@
+// The data directory itself is the store: everything the server writes there already persists
+// (local development, a server with a disk). Nothing to copy in or out.
+function createLocalStore({ dataDir }) {
+    return {
+        name: 'local',
+        persistent: false,
+        describe: () => ({ backend: 'local', location: dataDir }),
+        async putPdf() {},
+        async getPdf() { return false; },
+        async listPdfs() { return []; },
+        async putRecord() {},
+        async getRecord() { return null; },
+        async listRecords() { return []; },
+        async removeDocument() {},
+        async putState() {},
+        async getState() { return null; }
+    };
+}
+
+module.exports = { createLocalStore };
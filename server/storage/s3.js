@@ -0,0 +1,127 @@
+const fs = require('fs');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// S3 or any S3-compatible object store (MinIO, R2, ...). Keys below S3_PREFIX:
+//   pdfs/<document name>                 the original PDF
+//   records/<document name>/<kind>.json  result, text, chat, annotations, redaction
+//   state/<file name>                    sync state such as downloaded_files.json
+// For MinIO: S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true plus its access keys.
+function createS3Store({
+    bucket = process.env.S3_BUCKET,
+    prefix = process.env.S3_PREFIX || '',
+    endpoint = process.env.S3_ENDPOINT,
+    region = process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) {
+    if (!bucket) {
+        throw new Error('STORAGE_BACKEND=s3 needs S3_BUCKET');
+    }
+    if (prefix && !prefix.endsWith('/')) prefix += '/';
+
+    // Without explicit keys the SDK uses its default chain (AWS_* variables, instance roles)
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } })
+    });
+
+    const pdfKey = name => `${prefix}pdfs/${name}`;
+    const recordKey = (name, kind) => `${prefix}records/${name}/${kind}.json`;
+    const stateKey = key => `${prefix}state/${key}`;
+
+    const isMissing = err => err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+    async function getObject(key) {
+        try {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (err) {
+            if (isMissing(err)) return null;
+            throw err;
+        }
+    }
+
+    function putObject(key, body, contentType) {
+        return client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    }
+
+    // Every object below keyPrefix, following continuation tokens
+    async function listObjects(keyPrefix) {
+        const objects = [];
+        let ContinuationToken;
+        do {
+            const response = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: keyPrefix, ContinuationToken }));
+            objects.push(...(response.Contents || []));
+            ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return objects;
+    }
+
+    return {
+        name: 's3',
+        persistent: true,
+        describe: () => ({ backend: 's3', location: `s3://${bucket}/${prefix}`, endpoint: endpoint || null }),
+
+        async putPdf(name, filePath) {
+            await putObject(pdfKey(name), fs.readFileSync(filePath), 'application/pdf');
+        },
+
+        // Download into filePath; false when the store doesn't have the PDF
+        async getPdf(name, filePath) {
+            const body = await getObject(pdfKey(name));
+            if (!body) return false;
+            fs.writeFileSync(filePath, body);
+            return true;
+        },
+
+        async listPdfs() {
+            return (await listObjects(`${prefix}pdfs/`)).map(object => ({
+                name: object.Key.substring(`${prefix}pdfs/`.length),
+                size: object.Size,
+                modified: object.LastModified
+            }));
+        },
+
+        async putRecord(name, kind, json) {
+            await putObject(recordKey(name, kind), json, 'application/json');
+        },
+
+        async getRecord(name, kind) {
+            const body = await getObject(recordKey(name, kind));
+            return body ? body.toString('utf8') : null;
+        },
+
+        // [{ name, kind }] of every stored record
+        async listRecords() {
+            return (await listObjects(`${prefix}records/`))
+                .map(object => object.Key.substring(`${prefix}records/`.length).match(/^(.+)\/([a-z]+)\.json$/))
+                .filter(Boolean)
+                .map(([, name, kind]) => ({ name, kind }));
+        },
+
+        async removeDocument(name) {
+            const keys = [pdfKey(name), ...(await listObjects(`${prefix}records/${name}/`)).map(object => object.Key)];
+            await client.send(new DeleteObjectsCommand({
+                Bucket: bucket,
+                Delete: { Objects: keys.map(Key => ({ Key })), Quiet: true }
+            }));
+        },
+
+        async putState(key, body) {
+            await putObject(stateKey(key), body, 'application/json');
+        },
+
+        getState: key => getObject(stateKey(key))
+    };
+}
+
+module.exports = { createS3Store };
@@ -0,0 +1,82 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+// Metadata store in one SQLite file (SQLITE_PATH, default DATA_DIR/.storage.sqlite; point it at a
+// persistent volume on container hosts). Records and sync state live in tables; PDFs are not
+// copied in, they stay in the data directory or come back from Drive.
+// In production the data directory is /tmp/data, so the default file is lost with the instance;
+// on Vercel the backend refuses to start without an explicit SQLITE_PATH rather than end up there.
+function createSqliteStore({ dataDir, file = process.env.SQLITE_PATH }) {
+    if (!file) {
+        if (process.env.VERCEL) {
+            throw new Error('STORAGE_BACKEND=sqlite needs SQLITE_PATH on Vercel: the default file in the data directory does not outlive the instance');
+        }
+        file = path.join(dataDir, '.storage.sqlite');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            name TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (name, kind)
+        );
+        CREATE TABLE IF NOT EXISTS state (
+            key TEXT PRIMARY KEY,
+            data BLOB NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+
+    const statements = {
+        putRecord: db.prepare(`INSERT INTO records (name, kind, data, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (name, kind) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        getRecord: db.prepare('SELECT data FROM records WHERE name = ? AND kind = ?'),
+        listRecords: db.prepare('SELECT name, kind FROM records ORDER BY name, kind'),
+        removeDocument: db.prepare('DELETE FROM records WHERE name = ?'),
+        putState: db.prepare(`INSERT INTO state (key, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        getState: db.prepare('SELECT data FROM state WHERE key = ?')
+    };
+
+    return {
+        name: 'sqlite',
+        persistent: true,
+        describe: () => ({ backend: 'sqlite', location: file }),
+        async putPdf() {},
+        async getPdf() { return false; },
+        async listPdfs() { return []; },
+
+        async putRecord(name, kind, json) {
+            statements.putRecord.run(name, kind, json, new Date().toISOString());
+        },
+
+        async getRecord(name, kind) {
+            const row = statements.getRecord.get(name, kind);
+            return row ? row.data : null;
+        },
+
+        async listRecords() {
+            return statements.listRecords.all();
+        },
+
+        async removeDocument(name) {
+            statements.removeDocument.run(name);
+        },
+
+        async putState(key, body) {
+            statements.putState.run(key, body, new Date().toISOString());
+        },
+
+        async getState(key) {
+            const row = statements.getState.get(key);
+            return row ? Buffer.from(row.data) : null;
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
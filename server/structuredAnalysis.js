@@ -0,0 +1,255 @@
+const { SECTION_ROLES, getTemplate, getDefaultTemplateId } = require('./promptTemplates');
+const { normalizeTags } = require('./library');
+
+// JSON field that holds each template section role
+const FIELD_FOR_ROLE = {
+    summary: 'summary',
+    keyPoints: 'keyPoints',
+    actionItems: 'actionItems',
+    terminology: 'glossary',
+    openQuestions: 'openQuestions'
+};
+
+// Not one of the template roles: only filled in when page images are sent with the text
+const FIGURES_TITLE = 'Figures & Diagrams';
+
+const pageProperty = { type: 'integer', nullable: true, description: 'Page number the item comes from, if known' };
+
+// Response schema passed to the model (OpenAPI subset understood by Gemini)
+const ANALYSIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        summary: { type: 'string' },
+        keyPoints: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { text: { type: 'string' }, page: pageProperty },
+                required: ['text']
+            }
+        },
+        actionItems: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string' },
+                    owner: { type: 'string', nullable: true },
+                    dueDate: { type: 'string', nullable: true, description: 'Due date as YYYY-MM-DD when the text states one' },
+                    page: pageProperty
+                },
+                required: ['text']
+            }
+        },
+        glossary: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { term: { type: 'string' }, definition: { type: 'string' }, page: pageProperty },
+                required: ['term', 'definition']
+            }
+        },
+        openQuestions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { text: { type: 'string' }, page: pageProperty },
+                required: ['text']
+            }
+        },
+        figures: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    description: { type: 'string', description: 'What the figure shows and what it means in context' },
+                    kind: { type: 'string', nullable: true, description: 'diagram, chart, table, sketch, photo, ...' },
+                    page: pageProperty
+                },
+                required: ['description']
+            }
+        },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Short topic tags for filing the document' }
+    },
+    required: ['summary', 'keyPoints', 'actionItems', 'glossary', 'openQuestions']
+};
+
+class AnalysisValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnalysisValidationError';
+    }
+}
+
+// Describe the JSON fields in terms of the template's own section titles.
+// With `figures` the model is also asked to describe the figures in the attached page images.
+function formatJsonFields(template, { figures = false } = {}) {
+    const lines = SECTION_ROLES.map(role => {
+        const [title, instruction] = template.sections[role];
+        return `- "${FIELD_FOR_ROLE[role]}" (${title}): ${instruction}`;
+    });
+    if (figures) {
+        lines.push(`- "figures" (${FIGURES_TITLE}): One entry per figure, diagram, chart, table or sketch in the page images: ` +
+            'what it shows, its labels and values, and what it means for the document. Set "kind" and "page".');
+    }
+    lines.push('- "tags": 3 to 6 short lowercase topic tags for filing the document, e.g. "budget" or "project alpha".');
+    return `**Output:** Return a JSON object with these fields:\n${lines.join('\n')}\n` +
+        'Set "page" on every item to the page it comes from when known. Use an empty array when a section has nothing; ' +
+        'write dueDate as YYYY-MM-DD only when the text gives a date.';
+}
+
+function toPage(value) {
+    const page = parseInt(value, 10);
+    return Number.isInteger(page) && page > 0 ? page : null;
+}
+
+function toText(value) {
+    return typeof value === 'string' ? value.trim() : value == null ? '' : String(value).trim();
+}
+
+// Accept a calendar date written as YYYY-MM-DD (the schema asks for that); anything else is dropped.
+// Free-form dates are not guessed at: Date parses them in local time and makes up a year when there is none.
+function toIsoDate(value) {
+    const isoMatch = toText(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!isoMatch) return null;
+    const [date, year, month, day] = isoMatch;
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    return parsed.getUTCFullYear() === Number(year) && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === Number(day)
+        ? date
+        : null;
+}
+
+function toItems(value, mapItem) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .map(item => mapItem(typeof item === 'string' ? { text: item } : (item || {})))
+        .filter(Boolean);
+}
+
+// Parse and normalize a model response into the stored shape. Throws AnalysisValidationError.
+function validateStructuredAnalysis(raw) {
+    let data = raw;
+    if (typeof raw === 'string') {
+        const json = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+        try {
+            data = JSON.parse(json);
+        } catch (err) {
+            throw new AnalysisValidationError(`Model did not return valid JSON: ${err.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new AnalysisValidationError('Model response is not a JSON object');
+    }
+    if (typeof data.summary !== 'string') {
+        throw new AnalysisValidationError('Model response is missing "summary"');
+    }
+
+    return {
+        summary: data.summary.trim(),
+        keyPoints: toItems(data.keyPoints, item => {
+            const text = toText(item.text);
+            return text ? { text, page: toPage(item.page) } : null;
+        }),
+        actionItems: toItems(data.actionItems, item => {
+            const text = toText(item.text);
+            return text ? { text, owner: toText(item.owner) || null, dueDate: toIsoDate(item.dueDate), page: toPage(item.page) } : null;
+        }),
+        glossary: toItems(data.glossary, item => {
+            const term = toText(item.term || item.text);
+            return term ? { term, definition: toText(item.definition), page: toPage(item.page) } : null;
+        }),
+        openQuestions: toItems(data.openQuestions, item => {
+            const text = toText(item.text);
+            return text ? { text, page: toPage(item.page) } : null;
+        }),
+        figures: toItems(data.figures, item => {
+            const description = toText(item.description || item.text);
+            return description ? { description, kind: toText(item.kind) || null, page: toPage(item.page) } : null;
+        }),
+        tags: normalizeTags(data.tags)
+    };
+}
+
+// Markdown rendering of a structured analysis, stored as `analysis` for search, Drive and old clients
+function renderStructuredMarkdown(structured, templateId) {
+    const template = getTemplate(templateId) || getTemplate(getDefaultTemplateId());
+    const title = role => template.sections[role][0];
+    const pageRef = item => item.page ? ` (p. ${item.page})` : '';
+    const list = (items, format) => items.length > 0 ? items.map(item => `- ${format(item)}`).join('\n') : 'None identified.';
+
+    const figures = structured.figures && structured.figures.length > 0
+        ? ['', `**${FIGURES_TITLE}**`, list(structured.figures, item => `${item.kind ? `*${item.kind}*: ` : ''}${item.description}${pageRef(item)}`)]
+        : [];
+
+    return [
+        `**${title('summary')}**`,
+        structured.summary || 'None identified.',
+        '',
+        `**${title('keyPoints')}**`,
+        list(structured.keyPoints, item => `${item.text}${pageRef(item)}`),
+        '',
+        `**${title('actionItems')}**`,
+        list(structured.actionItems, item => {
+            const details = [item.owner ? `owner: ${item.owner}` : null, item.dueDate ? `due: ${item.dueDate}` : null].filter(Boolean);
+            return `${item.text}${details.length ? ` [${details.join(', ')}]` : ''}${pageRef(item)}`;
+        }),
+        '',
+        `**${title('terminology')}**`,
+        list(structured.glossary, item => `**${item.term}**: ${item.definition}${pageRef(item)}`),
+        '',
+        `**${title('openQuestions')}**`,
+        list(structured.openQuestions, item => `${item.text}${pageRef(item)}`),
+        ...figures
+    ].join('\n');
+}
+
+// Migration for caches written before structured output: split the markdown on its
+// five headings. Returns null when the text doesn't look like a sectioned analysis.
+function markdownToStructured(markdown) {
+    if (typeof markdown !== 'string') return null;
+
+    const sections = [];
+    let current = null;
+    for (const line of markdown.split('\n')) {
+        const heading = line.match(/^\s*(?:#+\s*)?(?:\d+\.\s*)?\*\*([^*]+)\*\*:?\s*(.*)$/);
+        if (heading && (line.trim().startsWith('**') || /^\s*(#|\d+\.)/.test(line))) {
+            current = { title: heading[1].replace(/:$/, '').trim(), lines: heading[2] ? [heading[2]] : [] };
+            sections.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        }
+    }
+    if (sections.length < 5) return null;
+
+    const pageOf = text => {
+        const match = text.match(/\(pp?\.\s*(\d+)/i);
+        return match ? parseInt(match[1], 10) : null;
+    };
+    const items = section => section.lines
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+\.)\s+/, '').trim())
+        .filter(text => text && !/^none identified\.?$/i.test(text))
+        .map(text => ({ text: text.replace(/\s*\(pp?\.\s*\d+[^)]*\)\s*$/i, ''), page: pageOf(text) }));
+
+    const [summary, keyPoints, actionItems, glossary, openQuestions] = sections;
+    return {
+        summary: summary.lines.join('\n').trim(),
+        keyPoints: items(keyPoints),
+        actionItems: items(actionItems).map(item => ({ ...item, owner: null, dueDate: toIsoDate((item.text.match(/\d{4}-\d{2}-\d{2}/) || [])[0]) })),
+        glossary: items(glossary).map(item => {
+            const [term, ...rest] = item.text.replace(/\*\*/g, '').split(':');
+            return { term: term.trim(), definition: rest.join(':').trim(), page: item.page };
+        }),
+        openQuestions: items(openQuestions)
+    };
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    FIELD_FOR_ROLE,
+    FIGURES_TITLE,
+    AnalysisValidationError,
+    formatJsonFields,
+    validateStructuredAnalysis,
+    renderStructuredMarkdown,
+    markdownToStructured
+};
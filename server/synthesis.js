@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { AnalysisValidationError } = require('./structuredAnalysis');
+
+// Cross-document synthesis built from the stored per-document results (not the PDFs), so it costs
+// one model call however long the documents are. A synthesis is stored like any other result under
+// a virtual file name ending in SYNTHESIS_SUFFIX, without a PDF.
+
+const SYNTHESIS_SUFFIX = '.synthesis';
+const DEFAULT_MAX_CHARS = 60000;
+
+const stringList = { type: 'array', items: { type: 'string' }, description: 'File names of the documents this comes from' };
+const sourcedItem = extra => ({
+    type: 'object',
+    properties: { text: { type: 'string' }, ...extra, documents: stringList },
+    required: ['text', 'documents']
+});
+const list = (extra = {}) => ({ type: 'array', items: sourcedItem(extra) });
+
+// Per mode: instructions, response schema, and the markdown sections in order ([field, title])
+const MODES = {
+    compare: {
+        label: 'Comparison',
+        minDocuments: 2,
+        instructions: 'Compare the documents. The documents are listed in chronological order as chosen by the user, ' +
+            'so treat earlier documents as the older state. Say what they share, where they disagree, and what changed from ' +
+            'the earlier to the later ones (new, resolved, dropped or modified items).',
+        fields: {
+            summary: 'One paragraph on how the documents relate and the most important differences.',
+            similarities: 'Points the documents agree on or have in common.',
+            differences: 'Points where the documents differ or contradict each other.',
+            changes: 'What changed from the earlier to the later documents: new, resolved, dropped or modified items.',
+            openQuestions: 'Questions raised by the comparison, e.g. items that disappeared without being resolved.'
+        },
+        sections: [['similarities', 'Similarities'], ['differences', 'Differences'], ['changes', 'What Changed'], ['openQuestions', 'Open Questions']],
+        schema: { similarities: list(), differences: list(), changes: list(), openQuestions: list() }
+    },
+    'merge-summary': {
+        label: 'Combined summary',
+        minDocuments: 1,
+        instructions: 'Write one digest of all the documents together, as if they were one body of work. ' +
+            'Remove duplicates and keep every distinct action item and open question.',
+        fields: {
+            summary: 'A concise digest of everything the documents cover together.',
+            keyPoints: 'The most important points across all documents.',
+            actionItems: 'Every distinct task or deadline, with owner and due date when given.',
+            openQuestions: 'Questions that remain open across the documents.'
+        },
+        sections: [['keyPoints', 'Key Points'], ['actionItems', 'Action Items'], ['openQuestions', 'Open Questions']],
+        schema: {
+            keyPoints: list(),
+            actionItems: list({
+                owner: { type: 'string', nullable: true },
+                dueDate: { type: 'string', nullable: true, description: 'YYYY-MM-DD when known' }
+            }),
+            openQuestions: list()
+        }
+    },
+    timeline: {
+        label: 'Timeline',
+        minDocuments: 1,
+        instructions: 'Build a timeline of the dated events, decisions, deadlines and milestones in the documents. ' +
+            'Use the dates stated in the text; leave the date empty only when an event clearly belongs in the sequence but has none.',
+        fields: {
+            summary: 'One paragraph describing how things developed over time.',
+            events: 'Every dated event, decision, deadline or milestone, oldest first.'
+        },
+        sections: [['events', 'Timeline']],
+        schema: { events: list({ date: { type: 'string', nullable: true, description: 'YYYY-MM-DD, YYYY-MM or YYYY' } }) }
+    }
+};
+
+// Own keys only, so modes from requests such as "constructor" aren't taken for modes
+function getMode(mode) {
+    return typeof mode === 'string' && Object.hasOwn(MODES, mode) ? MODES[mode] : null;
+}
+
+function responseSchema(mode) {
+    const config = getMode(mode);
+    return {
+        type: 'object',
+        properties: { summary: { type: 'string' }, ...config.schema },
+        required: ['summary', ...Object.keys(config.schema)]
+    };
+}
+
+// The stored analysis of each document, trimmed so all of them fit in one prompt
+function formatDocuments(records, maxChars) {
+    const perDocument = Math.floor(maxChars / records.length);
+    return records.map((record, index) => {
+        const { summary, keyPoints, actionItems, glossary, openQuestions, figures } = record.structured || {};
+        const content = record.structured
+            ? JSON.stringify({ summary, keyPoints, actionItems, glossary, openQuestions, figures })
+            : JSON.stringify({ analysis: record.analysis || '' });
+        return `### Document ${index + 1}: ${record.name} (analyzed ${record.timestamp})\n${content.substring(0, perDocument)}`;
+    }).join('\n\n');
+}
+
+function buildSynthesisPrompt(records, mode, maxChars) {
+    const config = getMode(mode);
+    const fields = Object.entries(config.fields).map(([field, instruction]) => `- "${field}": ${instruction}`).join('\n');
+    return `
+You are given the analyses (JSON) of ${records.length} documents. ${config.instructions}
+Only use what the analyses say. On every item, list in "documents" the file names it comes from.
+
+**Output:** Return a JSON object with these fields:
+${fields}
+
+**Documents:**
+${formatDocuments(records, maxChars)}
+`;
+}
+
+// Normalize the model response; documents are limited to the names that were sent. Throws AnalysisValidationError.
+function validateSynthesis(raw, mode, fileNames) {
+    let data = raw;
+    if (typeof raw === 'string') {
+        try {
+            data = JSON.parse(raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, ''));
+        } catch (err) {
+            throw new AnalysisValidationError(`Model did not return valid JSON: ${err.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || typeof data.summary !== 'string') {
+        throw new AnalysisValidationError('Model response is missing "summary"');
+    }
+
+    const text = value => typeof value === 'string' ? value.trim() : '';
+    const result = { summary: data.summary.trim() };
+    for (const field of Object.keys(getMode(mode).schema)) {
+        result[field] = (Array.isArray(data[field]) ? data[field] : [])
+            .map(item => typeof item === 'string' ? { text: item } : (item || {}))
+            .filter(item => text(item.text))
+            .map(item => {
+                const normalized = {
+                    text: text(item.text),
+                    documents: (Array.isArray(item.documents) ? item.documents : []).filter(name => fileNames.includes(name))
+                };
+                if (field === 'actionItems') {
+                    normalized.owner = text(item.owner) || null;
+                    normalized.dueDate = text(item.dueDate) || null;
+                }
+                if (field === 'events') {
+                    normalized.date = text(item.date) || null;
+                }
+                return normalized;
+            });
+    }
+    if (result.events) {
+        // Undated events keep their place after the dated ones
+        result.events.sort((a, b) => (a.date || '\uffff').localeCompare(b.date || '\uffff'));
+    }
+    return result;
+}
+
+function renderSynthesisMarkdown(result, mode) {
+    const sources = item => item.documents.length ? ` (${item.documents.join(', ')})` : '';
+    const format = item => {
+        const details = [item.owner ? `owner: ${item.owner}` : null, item.dueDate ? `due: ${item.dueDate}` : null].filter(Boolean);
+        return `${item.date ? `**${item.date}**: ` : ''}${item.text}${details.length ? ` [${details.join(', ')}]` : ''}${sources(item)}`;
+    };
+    const lines = ['**Summary**', result.summary || 'None identified.'];
+    for (const [field, title] of getMode(mode).sections) {
+        const items = result[field];
+        lines.push('', `**${title}**`, items.length ? items.map(item => `- ${format(item)}`).join('\n') : 'None identified.');
+    }
+    return lines.join('\n');
+}
+
+// records: stored results in the order the user chose. generate(prompt, schema) returns the model's text.
+// Returns { synthesis (normalized JSON), analysis (markdown) }.
+async function synthesizeDocuments(records, mode, generate, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+    const config = getMode(mode);
+    if (!config) throw new Error(`mode must be one of: ${Object.keys(MODES).join(', ')}`);
+    if (records.length < config.minDocuments) throw new Error(`${config.label} needs at least ${config.minDocuments} documents`);
+
+    const fileNames = records.map(record => record.name);
+    const prompt = buildSynthesisPrompt(records, mode, maxChars);
+    const schema = responseSchema(mode);
+
+    let synthesis;
+    try {
+        synthesis = validateSynthesis(await generate(prompt, schema), mode, fileNames);
+    } catch (err) {
+        if (!(err instanceof AnalysisValidationError)) throw err;
+        synthesis = validateSynthesis(await generate(prompt, schema), mode, fileNames);
+    }
+    return { synthesis, analysis: renderSynthesisMarkdown(synthesis, mode) };
+}
+
+// compare-20260101-120000123-4f2a.synthesis: milliseconds and a random suffix keep syntheses
+// started within the same second from overwriting each other
+function createSynthesisName(mode, date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:.]/g, '').replace('T', '-').substring(0, 18);
+    return `${mode}-${stamp}-${crypto.randomBytes(2).toString('hex')}${SYNTHESIS_SUFFIX}`;
+}
+
+function isSynthesisName(name) {
+    return name.endsWith(SYNTHESIS_SUFFIX);
+}
+
+module.exports = { MODES, SYNTHESIS_SUFFIX, getMode, createSynthesisName, isSynthesisName, synthesizeDocuments };
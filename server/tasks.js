@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Action items from every analysis, normalized into one list stored in DATA_DIR/tasks.json.
+// Status and manual edits survive re-analysis as long as the item text stays the same.
+
+function getTasksPath(dataDir) {
+    return path.join(dataDir, 'tasks.json');
+}
+
+function loadTasks(dataDir) {
+    const tasksPath = getTasksPath(dataDir);
+    if (fs.existsSync(tasksPath)) {
+        try {
+            return JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+        } catch (err) {
+            console.error('Error reading tasks.json:', err);
+        }
+    }
+    return {};
+}
+
+function saveTasks(dataDir, tasks) {
+    fs.writeFileSync(getTasksPath(dataDir), JSON.stringify(tasks, null, 2));
+}
+
+function taskId(sourceFile, text) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha1').update(`${sourceFile}\n${normalized}`).digest('hex').substring(0, 16);
+}
+
+function todayIso() {
+    return new Date().toISOString().substring(0, 10);
+}
+
+function isOverdue(task) {
+    return task.status !== 'done' && !!task.dueDate && task.dueDate < todayIso();
+}
+
+// Replace the tasks of one document with the action items of its latest analysis.
+// Returns true when anything changed.
+function syncTasksFromResult(dataDir, result) {
+    const actionItems = result.structured && Array.isArray(result.structured.actionItems) ? result.structured.actionItems : [];
+    const tasks = loadTasks(dataDir);
+    const now = new Date().toISOString();
+    const nextIds = new Set();
+    let changed = false;
+
+    for (const item of actionItems) {
+        const id = taskId(result.name, item.text);
+        nextIds.add(id);
+        const existing = Object.hasOwn(tasks, id) ? tasks[id] : null;
+
+        if (!existing) {
+            tasks[id] = {
+                id,
+                text: item.text,
+                owner: item.owner || null,
+                dueDate: item.dueDate || null,
+                sourceFile: result.name,
+                page: item.page || null,
+                status: 'open',
+                createdAt: now,
+                updatedAt: now,
+                completedAt: null
+            };
+            changed = true;
+        } else if (!existing.dueDateEdited && existing.dueDate !== (item.dueDate || null)) {
+            // Keep a due date the user set by hand; otherwise follow the latest analysis
+            existing.dueDate = item.dueDate || null;
+            existing.updatedAt = now;
+            changed = true;
+        }
+    }
+
+    for (const task of Object.values(tasks)) {
+        if (task.sourceFile === result.name && !nextIds.has(task.id)) {
+            delete tasks[task.id];
+            changed = true;
+        }
+    }
+
+    if (changed) saveTasks(dataDir, tasks);
+    return changed;
+}
+
+function removeTasksForFile(dataDir, fileName) {
+    const tasks = loadTasks(dataDir);
+    let changed = false;
+    for (const task of Object.values(tasks)) {
+        if (task.sourceFile === fileName) {
+            delete tasks[task.id];
+            changed = true;
+        }
+    }
+    if (changed) saveTasks(dataDir, tasks);
+    return changed;
+}
+
+// Put back the tasks saved when a document went to the trash; tasks created since then win
+function restoreTasks(dataDir, restored) {
+    const tasks = loadTasks(dataDir);
+    let changed = false;
+    for (const task of restored || []) {
+        if (Object.hasOwn(tasks, task.id)) continue;
+        tasks[task.id] = task;
+        changed = true;
+    }
+    if (changed) saveTasks(dataDir, tasks);
+    return changed;
+}
+
+// Keep statuses and edits when a document is renamed (ids include the file name)
+function renameTasksForFile(dataDir, fromName, toName) {
+    const tasks = loadTasks(dataDir);
+    let changed = false;
+    for (const task of Object.values(tasks)) {
+        if (task.sourceFile !== fromName) continue;
+        delete tasks[task.id];
+        const id = taskId(toName, task.text);
+        tasks[id] = { ...task, id, sourceFile: toName, updatedAt: new Date().toISOString() };
+        changed = true;
+    }
+    if (changed) saveTasks(dataDir, tasks);
+    return changed;
+}
+
+// Sorted by due date (undated last), each with a computed `overdue` flag
+function listTasks(dataDir, { status, file, overdue } = {}) {
+    return Object.values(loadTasks(dataDir))
+        .map(task => ({ ...task, overdue: isOverdue(task) }))
+        .filter(task => !status || task.status === status)
+        .filter(task => !file || task.sourceFile === file)
+        .filter(task => !overdue || task.overdue)
+        .sort((a, b) => {
+            if (a.dueDate && b.dueDate) return a.dueDate.localeCompare(b.dueDate);
+            if (a.dueDate) return -1;
+            if (b.dueDate) return 1;
+            return a.createdAt.localeCompare(b.createdAt);
+        });
+}
+
+// Apply { status, dueDate } to a task. Returns the updated task, or null if it doesn't exist.
+// Throws on invalid values.
+function updateTask(dataDir, id, changes) {
+    const tasks = loadTasks(dataDir);
+    // Own keys only, so ids such as "__proto__" from the URL aren't taken for tasks
+    if (!Object.hasOwn(tasks, id)) return null;
+    const task = tasks[id];
+
+    const now = new Date().toISOString();
+    if (changes.status !== undefined) {
+        if (!['open', 'done'].includes(changes.status)) {
+            throw new Error('status must be "open" or "done"');
+        }
+        task.status = changes.status;
+        task.completedAt = changes.status === 'done' ? now : null;
+    }
+    if (changes.dueDate !== undefined) {
+        if (changes.dueDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(changes.dueDate)) {
+            throw new Error('dueDate must be YYYY-MM-DD or null');
+        }
+        task.dueDate = changes.dueDate;
+        task.dueDateEdited = true;
+    }
+    task.updatedAt = now;
+
+    saveTasks(dataDir, tasks);
+    return { ...task, overdue: isOverdue(task) };
+}
+
+// RFC 5545 text escaping and 75-octet line folding
+function icsEscape(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsFold(line) {
+    const parts = [];
+    let rest = line;
+    while (Buffer.byteLength(rest, 'utf8') > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.substring(0, cut), 'utf8') > 75) cut--;
+        parts.push(rest.substring(0, cut));
+        rest = ' ' + rest.substring(cut);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+// All-day calendar events for every dated, open task
+function buildCalendar(tasks) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Notebook PDF Analyzer//Tasks//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:Notebook PDF Deadlines'
+    ];
+
+    for (const task of tasks) {
+        if (!task.dueDate || task.status === 'done') continue;
+        const start = task.dueDate.replace(/-/g, '');
+        const end = new Date(`${task.dueDate}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+        const description = `From ${task.sourceFile}${task.page ? `, page ${task.page}` : ''}${task.owner ? `. Owner: ${task.owner}` : ''}`;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${task.id}@notebook-pdf`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${start}`,
+            `DTEND;VALUE=DATE:${end.toISOString().substring(0, 10).replace(/-/g, '')}`,
+            `SUMMARY:${icsEscape(task.text)}`,
+            `DESCRIPTION:${icsEscape(description)}`,
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+module.exports = { loadTasks, listTasks, updateTask, syncTasksFromResult, removeTasksForFile, restoreTasks, renameTasksForFile, buildCalendar };
@@ -0,0 +1,229 @@
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auth = require('../auth');
+const oidc = require('../oidc');
+
+// Minimal request/response stand-ins for the middleware
+function request(headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    return { get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Set environment variables (undefined removes one). Returns a function that puts the old values back.
+function setEnv(values) {
+    const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    const apply = entries => {
+        for (const [key, value] of Object.entries(entries)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    };
+    apply(values);
+    return () => apply(saved);
+}
+
+function userFor(dataDir, headers) {
+    const req = request(headers);
+    auth.authenticateRequest(dataDir)(req, response(), () => {});
+    return req.user;
+}
+
+describe('auth', () => {
+    let dataDir;
+    let restoreEnv;
+    before(() => {
+        restoreEnv = setEnv({ AUTH_SECRET: 'test-secret', AUTH_DISABLED: undefined });
+    });
+    after(() => restoreEnv());
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('creates users with hashed passwords and validates the input', () => {
+        const user = auth.createUser(dataDir, { username: 'ann@example.com', password: 'correct horse', role: 'editor' });
+        assert.deepEqual({ ...user, createdAt: undefined }, { username: 'ann@example.com', role: 'editor', provider: 'local', createdAt: undefined });
+        assert.doesNotMatch(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8'), /correct horse/);
+
+        assert.throws(() => auth.createUser(dataDir, { username: 'ann@example.com', password: 'another one' }), /already exists/);
+        assert.throws(() => auth.createUser(dataDir, { username: 'bad name', password: 'long enough' }), /username may only contain/);
+        assert.throws(() => auth.createUser(dataDir, { username: 'bob', password: 'short' }), /at least 8 characters/);
+        assert.throws(() => auth.createUser(dataDir, { username: 'bob', password: 'long enough', role: 'owner' }), /role must be one of/);
+    });
+
+    test('checks passwords and locks out after repeated failures', () => {
+        auth.createUser(dataDir, { username: 'ann', password: 'correct horse' });
+
+        assert.equal(auth.authenticateUser(dataDir, 'ann', 'correct horse', 'client-a').username, 'ann');
+        assert.equal(auth.authenticateUser(dataDir, 'nobody', 'correct horse', 'client-a'), null);
+        for (let i = 0; i < 5; i++) {
+            assert.equal(auth.authenticateUser(dataDir, 'ann', 'wrong', 'client-b'), null);
+        }
+        assert.throws(() => auth.authenticateUser(dataDir, 'ann', 'correct horse', 'client-b'), /Too many failed attempts/);
+        assert.equal(auth.authenticateUser(dataDir, 'ann', 'correct horse', 'client-c').username, 'ann');
+    });
+
+    test('accepts its own tokens from the header or the session cookie', () => {
+        auth.createUser(dataDir, { username: 'ann', password: 'correct horse', role: 'editor' });
+        const token = auth.issueToken(dataDir, 'ann');
+
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${token}` }).role, 'editor');
+        assert.equal(userFor(dataDir, { Cookie: `theme=dark; session=${encodeURIComponent(token)}` }).username, 'ann');
+        assert.equal(userFor(dataDir, {}), null);
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${token.slice(0, -2)}xx` }), null);
+
+        const [data, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(data, 'base64url')), sub: 'admin' })).toString('base64url');
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${forged}.${signature}` }), null);
+    });
+
+    test('follows role changes and revokes tokens on a new password or deletion', () => {
+        auth.createUser(dataDir, { username: 'root', password: 'correct horse', role: 'admin' });
+        auth.createUser(dataDir, { username: 'ann', password: 'correct horse' });
+        const token = auth.issueToken(dataDir, 'ann');
+
+        auth.updateUser(dataDir, 'ann', { role: 'editor' });
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${token}` }).role, 'editor');
+
+        auth.updateUser(dataDir, 'ann', { password: 'battery staple' });
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${token}` }), null);
+
+        const fresh = auth.issueToken(dataDir, 'ann');
+        assert.equal(auth.deleteUser(dataDir, 'ann'), true);
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${fresh}` }), null);
+        assert.equal(auth.updateUser(dataDir, 'ann', { role: 'viewer' }), null);
+    });
+
+    test('rejects expired tokens', t => {
+        auth.createUser(dataDir, { username: 'ann', password: 'correct horse' });
+        const token = auth.issueToken(dataDir, 'ann');
+        t.mock.method(Date, 'now', () => new Date('2999-01-01').getTime());
+        assert.equal(userFor(dataDir, { Authorization: `Bearer ${token}` }), null);
+    });
+
+    test('keeps at least one admin', () => {
+        auth.createUser(dataDir, { username: 'root', password: 'correct horse', role: 'admin' });
+        assert.throws(() => auth.updateUser(dataDir, 'root', { role: 'editor' }), /last admin/);
+        assert.throws(() => auth.deleteUser(dataDir, 'root'), /last admin/);
+    });
+
+    test('creates the first admin from ADMIN_PASSWORD only while there are no users', t => {
+        t.after(setEnv({ ADMIN_USERNAME: undefined, ADMIN_PASSWORD: undefined }));
+        const logs = [];
+        auth.ensureBootstrapAdmin(dataDir, message => logs.push(message));
+        assert.deepEqual(auth.listUsers(dataDir), []);
+        assert.match(logs[0], /Set ADMIN_PASSWORD/);
+
+        process.env.ADMIN_USERNAME = 'boss';
+        process.env.ADMIN_PASSWORD = 'correct horse';
+        auth.ensureBootstrapAdmin(dataDir, () => {});
+        assert.deepEqual(auth.listUsers(dataDir).map(user => [user.username, user.role]), [['boss', 'admin']]);
+    });
+
+    test('treats everyone as a local admin when auth is disabled', t => {
+        t.after(setEnv({ AUTH_DISABLED: 'true' }));
+        assert.deepEqual(userFor(dataDir, {}), { username: 'local', role: 'admin', provider: 'none' });
+    });
+});
+
+describe('roles', () => {
+    test('rank viewer < editor < admin', () => {
+        assert.equal(auth.hasRole({ role: 'admin' }, 'editor'), true);
+        assert.equal(auth.hasRole({ role: 'editor' }, 'editor'), true);
+        assert.equal(auth.hasRole({ role: 'viewer' }, 'editor'), false);
+        assert.equal(auth.hasRole(null, 'viewer'), false);
+    });
+
+    test('answer 401 without a user and 403 without the role', () => {
+        const check = (user, role) => {
+            const res = response();
+            let passed = false;
+            auth.requireRole(role)({ user }, res, () => { passed = true; });
+            return passed ? 'next' : res.statusCode;
+        };
+        assert.equal(check(null, 'viewer'), 401);
+        assert.equal(check({ role: 'viewer' }, 'editor'), 403);
+        assert.equal(check({ role: 'admin' }, 'editor'), 'next');
+    });
+});
+
+describe('oidc', () => {
+    test('names accounts by email, else by subject', () => {
+        assert.equal(oidc.usernameFor({ sub: '42', email: 'ann@example.com', email_verified: true }), 'ann@example.com');
+        assert.equal(oidc.usernameFor({ sub: 'abc|123' }), 'oidc-abc_123');
+    });
+
+    test('gives OIDC_ADMIN_EMAILS the admin role and everyone else OIDC_DEFAULT_ROLE', t => {
+        t.after(setEnv({ OIDC_ADMIN_EMAILS: 'Boss@Example.com, other@example.com', OIDC_DEFAULT_ROLE: undefined }));
+        assert.equal(oidc.initialRoleFor({ email: 'boss@example.com', email_verified: true }), 'admin');
+        assert.equal(oidc.initialRoleFor({ email: 'ann@example.com', email_verified: true }), 'viewer');
+
+        process.env.OIDC_DEFAULT_ROLE = 'editor';
+        assert.equal(oidc.initialRoleFor({ sub: '42' }), 'editor');
+    });
+
+    test('does not trust emails the provider has not verified', t => {
+        t.after(setEnv({ OIDC_ADMIN_EMAILS: 'boss@example.com', OIDC_DEFAULT_ROLE: undefined }));
+        assert.throws(() => oidc.usernameFor({ sub: '42', email: 'boss@example.com' }), /has not verified/);
+        assert.throws(() => oidc.usernameFor({ sub: '42', email: 'boss@example.com', email_verified: 'true' }), /has not verified/);
+        assert.equal(oidc.initialRoleFor({ email: 'boss@example.com', email_verified: false }), 'viewer');
+    });
+
+    test('falls back to viewer for an invalid OIDC_DEFAULT_ROLE', t => {
+        t.after(setEnv({ OIDC_ADMIN_EMAILS: undefined, OIDC_DEFAULT_ROLE: 'owner' }));
+        t.mock.method(console, 'error', () => {});
+        assert.equal(oidc.initialRoleFor({ sub: '42' }), 'viewer');
+    });
+});
+
+describe('findOrCreateOidcUser', () => {
+    let dataDir;
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oidc-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('creates an account on first sign-in and finds it by subject afterwards', () => {
+        const first = auth.findOrCreateOidcUser(dataDir, { username: 'ann@example.com', subject: 'sub-1', role: 'editor' });
+        assert.equal(first.created, true);
+        assert.equal(first.user.provider, 'oidc');
+
+        // The provider may report another email later; the subject decides
+        const again = auth.findOrCreateOidcUser(dataDir, { username: 'ann@new.example.com', subject: 'sub-1', role: 'viewer' });
+        assert.deepEqual([again.created, again.user.username, again.user.role], [false, 'ann@example.com', 'editor']);
+    });
+
+    test('links an account an admin created in advance', () => {
+        auth.createUser(dataDir, { username: 'ann@example.com', role: 'admin', provider: 'oidc' });
+        const { user, created } = auth.findOrCreateOidcUser(dataDir, { username: 'ann@example.com', subject: 'sub-1', role: 'viewer' });
+        assert.deepEqual([created, user.role], [false, 'admin']);
+        assert.throws(() => auth.findOrCreateOidcUser(dataDir, { username: 'ann@example.com', subject: 'sub-2', role: 'viewer' }), /not linked/);
+    });
+
+    test('never takes over a local account', () => {
+        auth.createUser(dataDir, { username: 'root@example.com', password: 'correct horse', role: 'admin' });
+        assert.throws(() => auth.findOrCreateOidcUser(dataDir, { username: 'root@example.com', subject: 'sub-1', role: 'viewer' }), /not linked/);
+    });
+});
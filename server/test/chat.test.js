@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { answerQuestion, extractCitations, selectPassages } = require('../chat');
+const { createSearchIndex } = require('../search');
+
+describe('extractCitations', () => {
+    const passages = [1, 2, 3, 5].map(page => ({ field: 'text', page, text: `Page ${page}` }));
+
+    test('reads single pages, lists and ranges that were provided', () => {
+        assert.deepEqual(extractCitations('Due [p. 2]. See [p. 1, 5] and [pp. 2-4].', passages, 5), [1, 2, 3, 5]);
+        assert.deepEqual(extractCitations('Per [p. 9].', passages, 9), []);
+    });
+
+    test('clamps ranges to the document', () => {
+        assert.deepEqual(extractCitations('[pp. 0-99999999]', passages, 3), [1, 2, 3]);
+        assert.deepEqual(extractCitations('[pp. 4-2]', passages, 5), []);
+    });
+});
+
+describe('selectPassages', () => {
+    const pages = ['Opening page', '', 'Third page'];
+
+    test('falls back to the opening pages without matches', () => {
+        assert.deepEqual(selectPassages([], pages).map(passage => passage.page), [1, 3]);
+    });
+
+    test('stays within the character budget', () => {
+        const retrieved = [{ field: 'text', page: 3, text: 'x'.repeat(50) }, { field: 'text', page: 1, text: 'y'.repeat(50) }];
+        assert.deepEqual(selectPassages(retrieved, pages, 60).map(passage => passage.text.length), [50, 10]);
+    });
+});
+
+describe('answerQuestion', () => {
+    test('grounds the prompt in the best pages and keeps only their citations', async () => {
+        const pages = ['Kickoff notes. Nothing about money.', 'The budget is 40,000 EUR.', 'Risks and vendors.'];
+        const index = createSearchIndex();
+        index.addDocument('a.pdf', { pages });
+        let prompt;
+
+        const result = await answerQuestion({
+            fileName: 'a.pdf',
+            question: 'How big is the budget?',
+            pages,
+            retrieve: query => index.retrieve('a.pdf', query),
+            generate: async text => {
+                prompt = text;
+                return 'It is 40,000 EUR [p. 2], see also [p. 7].';
+            }
+        });
+
+        assert.match(prompt, /\[Page 2\]\nThe budget is 40,000 EUR\./);
+        assert.deepEqual(result.citations, [2]);
+        assert.deepEqual(result.sources[0], { field: 'text', page: 2 });
+    });
+});
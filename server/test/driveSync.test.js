@@ -0,0 +1,247 @@
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { getDriveSources, isIncluded } = require('../driveSync');
+
+const PDF = 'application/pdf';
+const JSON_TYPE = 'application/json';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Set environment variables (undefined removes one). Returns a function that puts the old values back.
+function setEnv(values) {
+    const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    const apply = entries => {
+        for (const [key, value] of Object.entries(entries)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    };
+    apply(values);
+    return () => apply(saved);
+}
+
+describe('getDriveSources', () => {
+    let saved;
+    beforeEach(() => {
+        saved = { DRIVE_SOURCES: process.env.DRIVE_SOURCES, DRIVE_FOLDER_ID: process.env.DRIVE_FOLDER_ID };
+        delete process.env.DRIVE_SOURCES;
+        delete process.env.DRIVE_FOLDER_ID;
+    });
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    test('reads comma-separated folder ids', () => {
+        process.env.DRIVE_FOLDER_ID = 'one, two';
+        assert.deepEqual(getDriveSources(), [
+            { folderId: 'one', path: null, include: ['**'], exclude: [] },
+            { folderId: 'two', path: null, include: ['**'], exclude: [] }
+        ]);
+    });
+
+    test('keeps local paths inside the data directory', () => {
+        process.env.DRIVE_SOURCES = JSON.stringify([
+            { folderId: 'one', path: '../Work/./Reports', include: ['*.pdf'], exclude: ['Archive/**'] },
+            { path: 'no-folder' }
+        ]);
+        assert.deepEqual(getDriveSources(), [
+            { folderId: 'one', path: '_/Work/_/Reports', include: ['*.pdf'], exclude: ['Archive/**'] }
+        ]);
+    });
+
+    test('ignores DRIVE_SOURCES that is not JSON', t => {
+        t.mock.method(console, 'error', () => {});
+        process.env.DRIVE_SOURCES = '[{';
+        assert.deepEqual(getDriveSources(), []);
+    });
+});
+
+describe('isIncluded', () => {
+    const source = (include, exclude = []) => ({ folderId: 'root', path: null, include, exclude });
+
+    test('matches a pattern without / against the name at any depth', () => {
+        const pdfs = source(['*.pdf']);
+        assert.equal(isIncluded(pdfs, 'report.pdf', PDF), true);
+        assert.equal(isIncluded(pdfs, 'a/b/REPORT.PDF', PDF), true);
+        assert.equal(isIncluded(pdfs, 'a/notes.txt', 'text/plain'), false);
+    });
+
+    test('keeps * and ? within one path segment', () => {
+        const reports = source(['Reports/*.pdf', 'Q?/summary.pdf']);
+        assert.equal(isIncluded(reports, 'Reports/q1.pdf', PDF), true);
+        assert.equal(isIncluded(reports, 'Reports/2026/q1.pdf', PDF), false);
+        assert.equal(isIncluded(reports, 'Q1/summary.pdf', PDF), true);
+        assert.equal(isIncluded(reports, 'Q10/summary.pdf', PDF), false);
+    });
+
+    test('lets ** span any number of folders, including none', () => {
+        const nested = source(['Reports/**/*.pdf']);
+        assert.equal(isIncluded(nested, 'Reports/q1.pdf', PDF), true);
+        assert.equal(isIncluded(nested, 'Reports/2026/03/q1.pdf', PDF), true);
+        assert.equal(isIncluded(nested, 'Other/q1.pdf', PDF), false);
+    });
+
+    test('excludes folders below a pattern ending in /**', () => {
+        const archived = source(['**'], ['Archive/**']);
+        assert.equal(isIncluded(archived, 'Archive/old.pdf', PDF), false);
+        assert.equal(isIncluded(archived, 'Archive/2020/old.pdf', PDF), false);
+        assert.equal(isIncluded(archived, 'Archived.pdf', PDF), true);
+    });
+
+    test('takes other characters literally', () => {
+        const literal = source(['report (v1).pdf']);
+        assert.equal(isIncluded(literal, 'report (v1).pdf', PDF), true);
+        assert.equal(isIncluded(literal, 'report v1.pdf', PDF), false);
+    });
+
+    test('lets JSON files follow their PDF and keeps syntheses', () => {
+        const pdfs = source(['*.pdf'], ['draft*']);
+        assert.equal(isIncluded(pdfs, 'report.pdf.json', JSON_TYPE), true);
+        assert.equal(isIncluded(pdfs, 'a/report.pdf.annotations.json', JSON_TYPE), true);
+        assert.equal(isIncluded(pdfs, 'report.pdf.redaction.json', JSON_TYPE), true);
+        assert.equal(isIncluded(pdfs, 'draft.pdf.chat.json', JSON_TYPE), false);
+        assert.equal(isIncluded(pdfs, 'compare-20260101-120000.synthesis.json', JSON_TYPE), true);
+    });
+
+    test('never takes app state from Drive', () => {
+        const everything = source(['**']);
+        for (const name of ['users.json', 'tasks.json', 'library.json', 'downloaded_files.json', 'drive_changes.json', 'a/users.json']) {
+            assert.equal(isIncluded(everything, name, JSON_TYPE), false, name);
+            assert.equal(isIncluded(everything, name, PDF), false, `${name} as a PDF`);
+        }
+        assert.equal(isIncluded(everything, 'audit.log', PDF), false);
+        assert.equal(isIncluded(everything, '.trash/index.json', JSON_TYPE), false);
+        assert.equal(isIncluded(everything, '.trash/1a2b/report.pdf', PDF), false);
+        assert.equal(isIncluded(everything, '.trash/1a2b/report.pdf.json', JSON_TYPE), false);
+    });
+});
+
+describe('syncDriveFiles against the fake Drive server', () => {
+    const fakeDrive = require('../fakeDrive');
+    const { syncDriveFiles, ensureChangesWatch, isCurrentChannel } = require('../driveSync');
+
+    let driveServer;
+    let driveUrl;
+    let dataDir;
+    let restoreEnv;
+    const logs = [];
+    const logFn = message => logs.push(message);
+
+    async function drive(method, urlPath, body) {
+        const res = await fetch(`${driveUrl}${urlPath}`, {
+            method,
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: body === undefined ? undefined : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        return res.status === 204 ? null : res.json();
+    }
+    const createFolder = (name, parentId) => drive('POST', '/drive/v3/files', { name, mimeType: FOLDER_MIME_TYPE, parents: parentId ? [parentId] : undefined });
+    const putFile = (parentId, name, content = `%PDF ${name}`) => drive('PUT', `/fake/files/${parentId}/${encodeURIComponent(name)}`, content);
+    const read = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+
+    before(async () => {
+        driveServer = fakeDrive.listen(0, '127.0.0.1');
+        await once(driveServer, 'listening');
+        driveUrl = `http://127.0.0.1:${driveServer.address().port}`;
+        restoreEnv = setEnv({ DRIVE_API_URL: driveUrl, DRIVE_WEBHOOK_URL: undefined });
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-sync-test-'));
+    });
+    after(() => {
+        driveServer.close();
+        driveServer.closeAllConnections();
+        restoreEnv();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    let root;
+    let projects;
+    let source;
+
+    test('mirrors nested folders, following include and exclude patterns', async () => {
+        root = await createFolder('Shared');
+        projects = await createFolder('Projects', root.id);
+        const alpha = await createFolder('Alpha', projects.id);
+        const archive = await createFolder('Archive', root.id);
+        await putFile(root.id, 'top.pdf');
+        await putFile(root.id, 'top.pdf.json', '{"name":"top.pdf"}');
+        await putFile(root.id, 'draft-notes.pdf');
+        await putFile(root.id, 'users.json', '{"mallory":{"role":"admin"}}');
+        await putFile(alpha.id, 'plan.pdf');
+        await putFile(archive.id, 'old.pdf');
+        source = { folderId: root.id, path: null, include: ['**'], exclude: ['Archive/**', 'draft-*'] };
+
+        const changes = await syncDriveFiles([source], dataDir, logFn);
+
+        assert.deepEqual(changes.added.sort(), ['Projects/Alpha/plan.pdf', 'top.pdf', 'top.pdf.json']);
+        assert.deepEqual(changes.folders, { 'Projects/Alpha/plan.pdf': 'Projects/Alpha', 'top.pdf': '' });
+        assert.equal(read('Projects/Alpha/plan.pdf'), '%PDF plan.pdf');
+        assert.equal(fs.existsSync(path.join(dataDir, 'Archive')), false);
+        assert.equal(fs.existsSync(path.join(dataDir, 'draft-notes.pdf')), false);
+        assert.equal(fs.existsSync(path.join(dataDir, 'users.json')), false);
+    });
+
+    test('reads only the change log afterwards: modified, renamed and removed files', async () => {
+        const files = await drive('GET', '/fake/files');
+        const byName = name => files.find(file => file.name === name);
+        await putFile(root.id, 'top.pdf', '%PDF top.pdf v2');
+        await drive('PATCH', `/drive/v3/files/${byName('plan.pdf').id}`, { name: 'plan-v2.pdf' });
+        await drive('DELETE', `/drive/v3/files/${byName('top.pdf.json').id}`);
+
+        const changes = await syncDriveFiles([source], dataDir, logFn);
+
+        assert.deepEqual(changes.modified, ['top.pdf']);
+        assert.deepEqual(changes.renamed, [{ from: 'Projects/Alpha/plan.pdf', to: 'Projects/Alpha/plan-v2.pdf' }]);
+        assert.deepEqual(changes.removed, ['top.pdf.json']);
+        assert.equal(read('top.pdf'), '%PDF top.pdf v2');
+        assert.ok(!logs.some(message => /listing all files/.test(message)));
+    });
+
+    test('lists everything again when folders change', async () => {
+        const beta = await createFolder('Beta', projects.id);
+        await putFile(beta.id, 'budget.pdf');
+
+        const changes = await syncDriveFiles([source], dataDir, logFn);
+
+        assert.deepEqual(changes.added, ['Projects/Beta/budget.pdf']);
+        assert.ok(logs.some(message => /Folders changed on Drive, listing all files/.test(message)));
+    });
+
+    test('syncs when a webhook notification arrives from the current channel', async () => {
+        const notifications = [];
+        const webhook = http.createServer((req, res) => {
+            notifications.push({ id: req.headers['x-goog-channel-id'], token: req.headers['x-goog-channel-token'], state: req.headers['x-goog-resource-state'] });
+            res.end();
+        });
+        webhook.listen(0, '127.0.0.1');
+        await once(webhook, 'listening');
+        process.env.DRIVE_WEBHOOK_URL = `http://127.0.0.1:${webhook.address().port}/api/drive/webhook`;
+
+        try {
+            const channel = await ensureChangesWatch(dataDir, logFn);
+            assert.deepEqual(await ensureChangesWatch(dataDir, logFn), channel, 'a valid channel is reused');
+
+            await putFile(root.id, 'pushed.pdf');
+            const deadline = Date.now() + 5000;
+            while (!notifications.some(note => note.state === 'change') && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            const note = notifications.find(item => item.state === 'change');
+            assert.ok(note, 'the fake Drive pushed a change notification');
+            assert.equal(isCurrentChannel(dataDir, note.id, note.token), true);
+            assert.equal(isCurrentChannel(dataDir, note.id, 'forged'), false);
+
+            const changes = await syncDriveFiles([source], dataDir, logFn);
+            assert.deepEqual(changes.added, ['pushed.pdf']);
+        } finally {
+            webhook.close();
+            webhook.closeAllConnections();
+        }
+    });
+});
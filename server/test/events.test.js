@@ -0,0 +1,42 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const events = require('../events');
+
+// A connected dashboard: returns what it received and a function to disconnect it
+function connect(user) {
+    const req = new EventEmitter();
+    req.user = user;
+    const received = [];
+    const res = { set() {}, flushHeaders() {}, write: chunk => received.push(chunk) };
+    events.addClient(req, res);
+    return { received: () => received.filter(chunk => chunk.startsWith('event:')), disconnect: () => req.emit('close') };
+}
+
+describe('events', () => {
+    test('send the same event to every client', () => {
+        const clients = [connect({ role: 'viewer' }), connect(null)];
+        try {
+            events.broadcast('job-updated', { id: 1 });
+            for (const client of clients) {
+                assert.deepEqual(client.received(), ['event: job-updated\ndata: {"id":1}\n\n']);
+            }
+        } finally {
+            clients.forEach(client => client.disconnect());
+        }
+        assert.equal(events.clientCount(), 0);
+    });
+
+    test('send per-user events only to clients they are defined for', () => {
+        const admin = connect({ role: 'admin' });
+        const viewer = connect({ role: 'viewer' });
+        try {
+            events.broadcast('log', user => user.role === 'admin' ? { message: 'secret' } : undefined);
+            assert.deepEqual(admin.received(), ['event: log\ndata: {"message":"secret"}\n\n']);
+            assert.deepEqual(viewer.received(), []);
+        } finally {
+            admin.disconnect();
+            viewer.disconnect();
+        }
+    });
+});
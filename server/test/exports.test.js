@@ -0,0 +1,24 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isExportFormat, exportResult } = require('../exports');
+
+const record = { name: 'Work/report.pdf', timestamp: '2026-01-01T00:00:00.000Z', analysis: '**Summary**\nDone.' };
+
+describe('exports', () => {
+    test('know only their own formats', () => {
+        assert.equal(isExportFormat('md'), true);
+        for (const format of ['constructor', '__proto__', 'toString', 'hasOwnProperty', ['md'], undefined]) {
+            assert.equal(isExportFormat(format), false, String(format));
+        }
+    });
+
+    test('reject unknown formats', async () => {
+        await assert.rejects(exportResult(record, {}, 'constructor'), /format must be one of: md, html, docx, pdf, anki/);
+    });
+
+    test('name the export after the document', async () => {
+        const { fileName, mimeType } = await exportResult(record, {}, 'md');
+        assert.equal(fileName, 'report_analysis.md');
+        assert.match(mimeType, /^text\/markdown/);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROVIDERS, createProvider } = require('../llm');
+const { analyzeDocument } = require('../analysis');
+
+const PAGES = [
+    'Project kickoff notes\nThe budget is approved.\nTODO: send the contract by 2030-01-15.',
+    'Staffing plan\nTwo engineers join in March.\nWho owns the hiring budget?',
+    'Risks\nThe vendor may be late.\nAction: review the vendor contract.'
+];
+
+const generateWith = provider => (prompt, schema) => provider.generate(prompt, { schema });
+
+describe('createProvider', () => {
+    test('builds the configured provider', () => {
+        assert.deepEqual(Object.keys(PROVIDERS), ['gemini', 'openai', 'mock']);
+        const provider = createProvider('mock', { model: 'offline' });
+        assert.equal(provider.name, 'mock');
+        assert.equal(provider.model, 'offline');
+        assert.equal(provider.isConfigured(), true);
+    });
+
+    test('rejects unknown providers', () => {
+        assert.throws(() => createProvider('nope'), /Unknown LLM_PROVIDER "nope"/);
+    });
+});
+
+describe('mock provider', () => {
+    const provider = createProvider('mock');
+
+    test('answers the same prompt the same way', async () => {
+        const prompt = '[Page 2]\nThe budget is approved.';
+        assert.equal(await provider.generate(prompt), 'Mock answer: The budget is approved. [p. 2]');
+        assert.equal(await provider.generate(prompt), await provider.generate(prompt));
+    });
+
+    test('returns JSON when asked for a schema', async () => {
+        const analysis = JSON.parse(await provider.generate('[Page 1]\nTODO: call Ann by 2030-01-15', { schema: {} }));
+        assert.deepEqual(analysis.actionItems, [{ text: 'TODO: call Ann by 2030-01-15', owner: null, dueDate: '2030-01-15', page: 1 }]);
+    });
+});
+
+describe('analysis pipeline with the mock provider', () => {
+    const provider = createProvider('mock');
+
+    test('analyzes a short document in one call', async () => {
+        const prompts = [];
+        const generate = (prompt, schema) => {
+            prompts.push(prompt);
+            return provider.generate(prompt, { schema });
+        };
+
+        const { structured, analysis, chunks } = await analyzeDocument(PAGES, generate, { logFn: () => {} });
+
+        assert.equal(prompts.length, 1);
+        assert.deepEqual(chunks, { count: 1, pageRanges: [{ startPage: 1, endPage: 3 }] });
+        assert.equal(structured.summary, 'Mock summary: Project kickoff notes');
+        assert.deepEqual(structured.actionItems.map(item => [item.page, item.dueDate]), [[1, '2030-01-15'], [3, null]]);
+        assert.deepEqual(structured.openQuestions, [{ text: 'Who owns the hiring budget?', page: 2 }]);
+        assert.match(analysis, /- TODO: send the contract by 2030-01-15\. \[due: 2030-01-15\] \(p\. 1\)/);
+    });
+
+    test('maps chunks of a long document and merges them, keeping pages', async () => {
+        const progress = [];
+        const { structured, chunks } = await analyzeDocument(PAGES, generateWith(provider), {
+            maxChars: 120,
+            logFn: () => {},
+            onProgress: value => progress.push(value)
+        });
+
+        assert.equal(chunks.count, 3);
+        assert.deepEqual(structured.actionItems.map(item => item.page), [1, 3]);
+        assert.deepEqual(structured.openQuestions.map(item => item.page), [2]);
+        assert.match(structured.summary, /^Mock summary: Project kickoff notes Mock summary: Staffing plan Mock summary: Risks$/);
+        assert.equal(progress[progress.length - 1], 1);
+    });
+
+    test('retries once when the model returns invalid JSON', async () => {
+        let calls = 0;
+        const generate = (prompt, schema) => ++calls === 1 ? 'not json' : provider.generate(prompt, { schema });
+        const { structured } = await analyzeDocument(PAGES.slice(0, 1), generate, { logFn: () => {} });
+        assert.equal(calls, 2);
+        assert.equal(structured.summary, 'Mock summary: Project kickoff notes');
+    });
+});
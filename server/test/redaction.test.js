@@ -0,0 +1,109 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const redaction = require('../redaction');
+
+const SETTINGS = ['REDACTION_TYPES', 'REDACTION_TERMS', 'REDACTION_TERMS_FILE', 'REDACTION_PATTERNS'];
+
+describe('redaction', () => {
+    let saved;
+    beforeEach(() => {
+        saved = Object.fromEntries(SETTINGS.map(key => [key, process.env[key]]));
+        SETTINGS.forEach(key => delete process.env[key]);
+    });
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    test('replaces each built-in kind of personal data', () => {
+        const redactor = redaction.createRedactor();
+        const text = 'Card 4111 1111 1111 1111, SSN 123-45-6789, DOB: 12/05/1980, call +44 20 7946 0958, ' +
+            'write to jane@example.com at 12 Baker Street.';
+
+        assert.equal(redactor.redact(text), 'Card [CARD_1], SSN [NATIONAL_ID_1], DOB: [DATE_OF_BIRTH_1], call [PHONE_1], ' +
+            'write to [EMAIL_1] at [ADDRESS_1].');
+        assert.deepEqual(redactor.placeholders['[DATE_OF_BIRTH_1]'], { type: 'date-of-birth', value: '12/05/1980' });
+    });
+
+    test('leaves card-like numbers that fail the checksum', () => {
+        assert.equal(redaction.createRedactor().redact('Order 4111 1111 1111 1112'), 'Order 4111 1111 1111 1112');
+    });
+
+    test('gives every spelling of a value the same placeholder', () => {
+        const redactor = redaction.createRedactor();
+        assert.equal(redactor.redact('Jane@Example.com, jane@example.com, bob@example.org'), '[EMAIL_1], [EMAIL_1], [EMAIL_2]');
+    });
+
+    test('continues the numbering of a stored mapping', () => {
+        const placeholders = { '[EMAIL_1]': { type: 'email', value: 'jane@example.com' } };
+        const redactor = redaction.createRedactor(placeholders);
+
+        assert.equal(redactor.redact('bob@example.org and JANE@example.com'), '[EMAIL_2] and [EMAIL_1]');
+        assert.equal(placeholders['[EMAIL_2]'].value, 'bob@example.org');
+    });
+
+    test('does not redact placeholders already in the text', () => {
+        const redactor = redaction.createRedactor();
+        redactor.redact('jane@example.com');
+        assert.equal(redactor.redact('Earlier answer about [EMAIL_1], now bob@example.org'), 'Earlier answer about [EMAIL_1], now [EMAIL_2]');
+    });
+
+    test('reports types, counts and pages without the values', () => {
+        const redactor = redaction.createRedactor();
+        redactor.redact('jane@example.com', 1);
+        redactor.redact('jane@example.com and 123-45-6789', 3);
+
+        const report = redactor.report();
+        assert.equal(report.total, 3);
+        assert.deepEqual(report.counts, { email: 2, 'national-id': 1 });
+        assert.deepEqual(report.items, [
+            { placeholder: '[EMAIL_1]', type: 'email', pages: [1, 3], occurrences: 2 },
+            { placeholder: '[NATIONAL_ID_1]', type: 'national-id', pages: [3], occurrences: 1 }
+        ]);
+        assert.doesNotMatch(JSON.stringify(report), /jane@example\.com/);
+    });
+
+    test('uses dictionary terms and custom patterns before the built-in detectors', () => {
+        process.env.REDACTION_TERMS = 'Acme, Acme Corp';
+        process.env.REDACTION_PATTERNS = JSON.stringify({ 'case-number': 'CASE-\\d{6}' });
+        process.env.REDACTION_TYPES = 'email';
+
+        const redactor = redaction.createRedactor();
+        assert.equal(redactor.redact('ACME CORP and Acme filed CASE-123456; call 020 7946 0958'),
+            '[TERM_1] and [TERM_2] filed [CASE_NUMBER_1]; call 020 7946 0958');
+    });
+
+    test('ignores unknown types and invalid patterns', t => {
+        t.mock.method(console, 'error', () => {});
+        process.env.REDACTION_TYPES = 'email,shoe-size';
+        process.env.REDACTION_PATTERNS = '{';
+        assert.deepEqual(redaction.getDetectors().map(detector => detector.type), ['email']);
+    });
+
+    test('renumbers the placeholders of other documents into one mapping', () => {
+        const first = { '[EMAIL_1]': { type: 'email', value: 'jane@example.com' } };
+        const second = {
+            '[EMAIL_1]': { type: 'email', value: 'bob@example.org' },
+            '[EMAIL_2]': { type: 'email', value: 'Jane@example.com' }
+        };
+        const merged = redaction.createRedactor();
+
+        assert.deepEqual(merged.translate({ summary: 'Mail [EMAIL_1]' }, first), { summary: 'Mail [EMAIL_1]' });
+        assert.deepEqual(merged.translate(['[EMAIL_1] and [EMAIL_2]', '[PHONE_9]'], second), ['[EMAIL_2] and [EMAIL_1]', '[PHONE_9]']);
+        assert.deepEqual(Object.keys(merged.placeholders), ['[EMAIL_1]', '[EMAIL_2]']);
+        assert.equal(merged.report().counts.email, 3);
+    });
+
+    test('reveals known placeholders in any JSON value', () => {
+        const placeholders = { '[EMAIL_1]': { type: 'email', value: 'jane "j" doe@example.com' } };
+        const data = { text: 'Mail [EMAIL_1] or [EMAIL_2]', items: [{ owner: '[EMAIL_1]' }] };
+
+        assert.deepEqual(redaction.revealPlaceholders(data, placeholders), {
+            text: 'Mail jane "j" doe@example.com or [EMAIL_2]',
+            items: [{ owner: 'jane "j" doe@example.com' }]
+        });
+        assert.equal(redaction.revealPlaceholders(data, {}), data);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, tokenize, stem, parseQuery } = require('../search');
+
+describe('tokenize', () => {
+    test('lower-cases words, folds accents and keeps offsets', () => {
+        assert.deepEqual(tokenize('Café, Übersicht'), [
+            { word: 'cafe', start: 0, end: 4 },
+            { word: 'ubersicht', start: 6, end: 15 }
+        ]);
+    });
+});
+
+describe('stem', () => {
+    test('matches inflected forms', () => {
+        assert.equal(stem('meetings'), stem('meeting'));
+        assert.equal(stem('reviewed'), stem('review'));
+        assert.equal(stem('studies'), 'study');
+        assert.equal(stem('planned'), 'plan');
+    });
+
+    test('leaves short words and numbers alone', () => {
+        assert.equal(stem('was'), 'was');
+        assert.equal(stem('2024'), '2024');
+    });
+});
+
+describe('parseQuery', () => {
+    test('drops stopwords and splits out quoted phrases', () => {
+        assert.deepEqual(parseQuery('"project alpha" the budget'), {
+            terms: ['budget'],
+            phrases: [['project', 'alpha']]
+        });
+    });
+
+    test('treats a one-word phrase as a term', () => {
+        assert.deepEqual(parseQuery('"budget" budget'), { terms: ['budget'], phrases: [] });
+    });
+});
+
+describe('createSearchIndex', () => {
+    function buildIndex() {
+        const index = createSearchIndex();
+        index.addDocument('a.pdf', {
+            pages: ['The quarterly budget review is on Friday.', 'Project alpha starts in May.'],
+            analysis: 'Budget and staffing.'
+        });
+        index.addDocument('b.pdf', { pages: ['Alpha project notes. Nothing about money.'] });
+        return index;
+    }
+
+    test('requires every term and reports the matching pages', () => {
+        const results = buildIndex().search('budget reviews');
+        assert.equal(results.length, 1);
+        assert.equal(results[0].name, 'a.pdf');
+        assert.deepEqual(results[0].pages, [1]);
+    });
+
+    test('matches phrases in order only', () => {
+        const results = buildIndex().search('"project alpha"');
+        assert.deepEqual(results.map(result => result.name), ['a.pdf']);
+    });
+
+    test('escapes snippets and marks the matches', () => {
+        const index = createSearchIndex();
+        index.addDocument('c.pdf', { pages: ['<b>Budget</b> & costs'] });
+        const [match] = index.search('budget')[0].matches;
+        assert.equal(match.snippet, '&lt;b&gt;<mark>Budget</mark>&lt;/b&gt; &amp; costs');
+    });
+
+    test('limits results to the given files', () => {
+        assert.deepEqual(buildIndex().search('alpha', { files: ['b.pdf'] }).map(result => result.name), ['b.pdf']);
+    });
+
+    test('forgets removed documents', () => {
+        const index = buildIndex();
+        index.removeDocument('a.pdf');
+        assert.equal(index.hasDocument('a.pdf'), false);
+        assert.deepEqual(index.search('budget'), []);
+        assert.equal(index.stats().documents, 1);
+    });
+
+    test('ranks the pages of one file for a question', () => {
+        const [best] = buildIndex().retrieve('a.pdf', 'When does project alpha start?', { limit: 1 });
+        assert.equal(best.page, 2);
+    });
+});
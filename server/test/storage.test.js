@@ -0,0 +1,203 @@
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S3rver = require('s3rver');
+const { createStorage } = require('../storage');
+
+// Set environment variables (undefined removes one). Returns a function that puts the old values back.
+function setEnv(values) {
+    const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    const apply = entries => {
+        for (const [key, value] of Object.entries(entries)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    };
+    apply(values);
+    return () => apply(saved);
+}
+
+const tempDir = prefix => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+function write(dataDir, name, content) {
+    fs.mkdirSync(path.dirname(path.join(dataDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, name), content);
+}
+
+const read = (dataDir, name) => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const exists = (dataDir, name) => fs.existsSync(path.join(dataDir, name));
+
+// Each instance has its own data directory, like a fresh serverless instance after a cold start
+function roundTrip(backend, { storesPdfs }) {
+    const dirs = [];
+    const instance = () => {
+        const dataDir = tempDir(`storage-${backend}-`);
+        dirs.push(dataDir);
+        return { dataDir, storage: createStorage({ dataDir, backend, logFn: () => {} }) };
+    };
+    after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+    test('brings records and sync state back after a cold start', async () => {
+        const first = instance();
+        write(first.dataDir, 'Work/report.pdf', '%PDF report');
+        write(first.dataDir, 'downloaded_files.json', '{"id-1":{"name":"Work/report.pdf"}}');
+        await first.storage.storePdf('Work/report.pdf');
+        await first.storage.putRecord('Work/report.pdf', 'result', { name: 'Work/report.pdf', analysis: 'Summary' });
+        await first.storage.putRecord('Work/report.pdf', 'text', { pages: ['Page one'] });
+        await first.storage.saveState();
+
+        const second = instance();
+        assert.deepEqual(await second.storage.restore(), ['Work/report.pdf']);
+        assert.equal(JSON.parse(read(second.dataDir, 'Work/report.pdf.json')).analysis, 'Summary');
+        assert.deepEqual(JSON.parse(read(second.dataDir, 'Work/report.pdf.text.json')), { pages: ['Page one'] });
+        assert.equal(read(second.dataDir, 'downloaded_files.json'), '{"id-1":{"name":"Work/report.pdf"}}');
+        assert.equal(exists(second.dataDir, 'Work/report.pdf'), false, 'PDFs are fetched on demand');
+
+        assert.equal(second.storage.hasPdf('Work/report.pdf'), storesPdfs);
+        const pdfPath = await second.storage.fetchPdf('Work/report.pdf');
+        if (storesPdfs) {
+            assert.equal(fs.readFileSync(pdfPath, 'utf8'), '%PDF report');
+            assert.deepEqual((await second.storage.listPdfs()).map(pdf => [pdf.name, pdf.local, pdf.stored]), [['Work/report.pdf', true, true]]);
+        } else {
+            assert.equal(pdfPath, null);
+        }
+    });
+
+    test('reads single records from the backend when the working copy lacks them', async () => {
+        const { storage } = instance();
+        assert.equal((await storage.getRecord('Work/report.pdf', 'result')).analysis, 'Summary');
+        assert.equal(await storage.getRecord('missing.pdf', 'result'), null);
+    });
+
+    test('fetches a whole document back, as far as the backend has it', async () => {
+        const first = instance();
+        write(first.dataDir, 'notes.pdf', '%PDF notes');
+        await first.storage.storePdf('notes.pdf');
+        await first.storage.putRecord('notes.pdf', 'result', { name: 'notes.pdf' });
+        await first.storage.putRecord('notes.pdf', 'chat', { messages: [] });
+
+        const second = instance();
+        await second.storage.restore({ skip: name => name === 'notes.pdf' });
+        assert.equal(exists(second.dataDir, 'notes.pdf.json'), false, 'skipped documents stay in the backend');
+        await second.storage.fetchDocument('notes.pdf');
+        assert.equal(exists(second.dataDir, 'notes.pdf'), storesPdfs);
+        assert.deepEqual(JSON.parse(read(second.dataDir, 'notes.pdf.chat.json')), { messages: [] });
+        assert.equal(exists(second.dataDir, 'notes.pdf.annotations.json'), false);
+        await second.storage.removeDocument('notes.pdf');
+    });
+
+    test('keeps accounts, tasks, logs and the trash index', async () => {
+        const first = instance();
+        const files = {
+            'users.json': '{"ann":{"role":"admin"}}',
+            'library.json': '{"documents":{}}',
+            'tasks.json': '{}',
+            'usage.log': '{"calls":1}\n',
+            'audit.log': '{"action":"delete"}\n',
+            '.trash/index.json': '{}'
+        };
+        for (const [name, content] of Object.entries(files)) write(first.dataDir, name, content);
+        await first.storage.saveState();
+        fs.appendFileSync(path.join(first.dataDir, 'audit.log'), '{"action":"restore"}\n');
+        await first.storage.saveState();
+
+        const second = instance();
+        await second.storage.restore();
+        for (const [name, content] of Object.entries(files)) {
+            assert.equal(read(second.dataDir, name), name === 'audit.log' ? `${content}{"action":"restore"}\n` : content);
+        }
+    });
+
+    test('moves renamed documents and forgets removed ones', async () => {
+        const first = instance();
+        await first.storage.restore();
+        await first.storage.fetchPdf('Work/report.pdf');
+        for (const suffix of storesPdfs ? ['', '.json', '.text.json'] : ['.json', '.text.json']) {
+            fs.renameSync(path.join(first.dataDir, `Work/report.pdf${suffix}`), path.join(first.dataDir, `report.pdf${suffix}`));
+        }
+        await first.storage.renameDocument('Work/report.pdf', 'report.pdf');
+
+        const second = instance();
+        assert.deepEqual(await second.storage.restore(), ['report.pdf']);
+        assert.equal(second.storage.hasPdf('report.pdf'), storesPdfs);
+
+        await second.storage.removeDocument('report.pdf');
+        assert.equal(second.storage.hasPdf('report.pdf'), false);
+        assert.deepEqual(await instance().storage.restore(), []);
+    });
+}
+
+describe('storage', () => {
+    test('rejects unknown backends', () => {
+        assert.throws(() => createStorage({ dataDir: os.tmpdir(), backend: 'floppy' }), /Unknown STORAGE_BACKEND "floppy"/);
+        assert.throws(() => createStorage({ dataDir: os.tmpdir(), backend: 'constructor' }), /Unknown STORAGE_BACKEND "constructor"/);
+    });
+
+    describe('local', () => {
+        test('keeps everything in the data directory only', async () => {
+            const dataDir = tempDir('storage-local-');
+            try {
+                const storage = createStorage({ dataDir, backend: 'local' });
+                write(dataDir, 'a.pdf', '%PDF a');
+                await storage.putRecord('a.pdf', 'result', { name: 'a.pdf' });
+                assert.equal(exists(dataDir, 'a.pdf.json'), true);
+                assert.deepEqual((await storage.listPdfs()).map(pdf => [pdf.name, pdf.local, pdf.stored]), [['a.pdf', true, true]]);
+                assert.deepEqual(await storage.restore(), []);
+            } finally {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('sqlite', () => {
+        const dir = tempDir('storage-sqlite-file-');
+        let restoreEnv;
+        before(() => {
+            restoreEnv = setEnv({ SQLITE_PATH: path.join(dir, 'storage.sqlite') });
+        });
+        after(() => {
+            restoreEnv();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        roundTrip('sqlite', { storesPdfs: false });
+
+        test('needs SQLITE_PATH on Vercel', t => {
+            t.after(setEnv({ SQLITE_PATH: undefined, VERCEL: '1' }));
+            assert.throws(() => createStorage({ dataDir: dir, backend: 'sqlite' }), /needs SQLITE_PATH on Vercel/);
+        });
+    });
+
+    describe('s3', () => {
+        const dir = tempDir('storage-s3-bucket-');
+        let server;
+        let restoreEnv;
+        before(async () => {
+            server = new S3rver({ port: 0, address: '127.0.0.1', silent: true, directory: dir, configureBuckets: [{ name: 'docs' }] });
+            const { port } = await server.run();
+            restoreEnv = setEnv({
+                S3_BUCKET: 'docs',
+                S3_PREFIX: 'test',
+                S3_ENDPOINT: `http://127.0.0.1:${port}`,
+                S3_FORCE_PATH_STYLE: 'true',
+                S3_REGION: 'us-east-1',
+                S3_ACCESS_KEY_ID: 'S3RVER',
+                S3_SECRET_ACCESS_KEY: 'S3RVER'
+            });
+        });
+        after(async () => {
+            restoreEnv();
+            await server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        roundTrip('s3', { storesPdfs: true });
+
+        test('needs a bucket', t => {
+            t.after(setEnv({ S3_BUCKET: undefined }));
+            assert.throws(() => createStorage({ dataDir: os.tmpdir(), backend: 's3' }), /needs S3_BUCKET/);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    AnalysisValidationError,
+    validateStructuredAnalysis,
+    renderStructuredMarkdown,
+    markdownToStructured
+} = require('../structuredAnalysis');
+
+describe('validateStructuredAnalysis', () => {
+    test('parses fenced JSON and normalizes the items', () => {
+        const raw = '```json\n' + JSON.stringify({
+            summary: '  Quarterly report. ',
+            keyPoints: ['Revenue grew', { text: 'Costs fell', page: '3' }, { text: '  ' }],
+            actionItems: [{ text: 'Send invoice', owner: 'Ann', dueDate: '2026-03-05T00:00:00Z', page: 0 }],
+            glossary: [{ text: 'EBIT', definition: 'Earnings before interest and taxes' }],
+            figures: [{ description: 'Revenue chart', page: 2 }],
+            tags: ['#Finance', 'finance', 'Q1  Report']
+        }) + '\n```';
+
+        assert.deepEqual(validateStructuredAnalysis(raw), {
+            summary: 'Quarterly report.',
+            keyPoints: [{ text: 'Revenue grew', page: null }, { text: 'Costs fell', page: 3 }],
+            actionItems: [{ text: 'Send invoice', owner: 'Ann', dueDate: '2026-03-05', page: null }],
+            glossary: [{ term: 'EBIT', definition: 'Earnings before interest and taxes', page: null }],
+            openQuestions: [],
+            figures: [{ description: 'Revenue chart', kind: null, page: 2 }],
+            tags: ['finance', 'q1 report']
+        });
+    });
+
+    test('drops due dates that are not a YYYY-MM-DD calendar date', () => {
+        const dueDates = ['soon', 'March 5, 2026', 'March 5', '05.03.2026', '2026-02-30', '2026-13-01'];
+        const { actionItems } = validateStructuredAnalysis({ summary: '', actionItems: dueDates.map(dueDate => ({ text: `Call ${dueDate}`, dueDate })) });
+        assert.deepEqual(actionItems.map(item => item.dueDate), dueDates.map(() => null));
+    });
+
+    test('rejects responses that are not an analysis', () => {
+        assert.throws(() => validateStructuredAnalysis('not json'), AnalysisValidationError);
+        assert.throws(() => validateStructuredAnalysis('[]'), AnalysisValidationError);
+        assert.throws(() => validateStructuredAnalysis({ keyPoints: [] }), /missing "summary"/);
+    });
+});
+
+describe('renderStructuredMarkdown', () => {
+    const structured = {
+        summary: 'Quarterly report.',
+        keyPoints: [{ text: 'Costs fell', page: 3 }],
+        actionItems: [{ text: 'Send invoice', owner: 'Ann', dueDate: '2026-03-05', page: null }],
+        glossary: [{ term: 'EBIT', definition: 'Earnings before interest and taxes', page: 1 }],
+        openQuestions: [],
+        figures: []
+    };
+
+    test('renders the sections of the default template', () => {
+        const markdown = renderStructuredMarkdown(structured);
+        assert.match(markdown, /^\*\*Executive Summary\*\*\nQuarterly report\./);
+        assert.match(markdown, /- Costs fell \(p\. 3\)/);
+        assert.match(markdown, /- Send invoice \[owner: Ann, due: 2026-03-05\]/);
+        assert.match(markdown, /- \*\*EBIT\*\*: Earnings before interest and taxes \(p\. 1\)/);
+        assert.match(markdown, /\*\*Unresolved Questions\*\*\nNone identified\.$/);
+    });
+
+    test('falls back to the default template for an unknown one', () => {
+        assert.equal(renderStructuredMarkdown(structured, 'constructor'), renderStructuredMarkdown(structured));
+    });
+
+    test('adds figures only when there are some', () => {
+        assert.doesNotMatch(renderStructuredMarkdown(structured), /Figures/);
+        const markdown = renderStructuredMarkdown({ ...structured, figures: [{ description: 'Chart', kind: 'bar chart', page: 2 }] });
+        assert.match(markdown, /\*\*Figures & Diagrams\*\*\n- \*bar chart\*: Chart \(p\. 2\)$/);
+    });
+});
+
+describe('markdownToStructured', () => {
+    test('reads back a rendered analysis', () => {
+        const structured = markdownToStructured(renderStructuredMarkdown({
+            summary: 'Quarterly report.',
+            keyPoints: [{ text: 'Costs fell', page: 3 }],
+            actionItems: [{ text: 'Pay by 2026-03-05', owner: null, dueDate: null, page: null }],
+            glossary: [{ term: 'EBIT', definition: 'Earnings: before interest', page: null }],
+            openQuestions: [],
+            figures: []
+        }));
+
+        assert.equal(structured.summary, 'Quarterly report.');
+        assert.deepEqual(structured.keyPoints, [{ text: 'Costs fell', page: 3 }]);
+        assert.equal(structured.actionItems[0].dueDate, '2026-03-05');
+        assert.deepEqual(structured.glossary, [{ term: 'EBIT', definition: 'Earnings: before interest', page: null }]);
+        assert.deepEqual(structured.openQuestions, []);
+    });
+
+    test('returns null for text without the five sections', () => {
+        assert.equal(markdownToStructured('Just a paragraph.'), null);
+        assert.equal(markdownToStructured(null), null);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMode, createSynthesisName, isSynthesisName, synthesizeDocuments } = require('../synthesis');
+
+const records = [
+    { name: 'q1.pdf', timestamp: '2026-01-10T00:00:00.000Z', structured: { summary: 'Q1', keyPoints: [{ text: 'Budget set' }] } },
+    { name: 'q2.pdf', timestamp: '2026-04-10T00:00:00.000Z', analysis: 'Q2 analysis' }
+];
+
+// A model that answers each prompt from the list in turn
+function modelAnswering(...responses) {
+    const prompts = [];
+    const generate = async (prompt, schema) => {
+        prompts.push({ prompt, schema });
+        return responses[prompts.length - 1];
+    };
+    return { generate, prompts };
+}
+
+describe('getMode', () => {
+    test('knows the modes and nothing inherited', () => {
+        assert.equal(getMode('timeline').label, 'Timeline');
+        assert.equal(getMode('constructor'), null);
+        assert.equal(getMode('__proto__'), null);
+        assert.equal(getMode(['compare']), null);
+    });
+});
+
+describe('synthesizeDocuments', () => {
+    test('keeps only the documents that were sent and renders the sections', async () => {
+        const { generate, prompts } = modelAnswering(JSON.stringify({
+            summary: ' Both quarters. ',
+            keyPoints: ['Budget set', { text: 'Hiring', documents: ['q2.pdf', 'other.pdf'] }, { text: '' }],
+            actionItems: [{ text: 'Review', owner: 'Ann', dueDate: '', documents: ['q1.pdf'] }]
+        }));
+
+        const { synthesis, analysis } = await synthesizeDocuments(records, 'merge-summary', generate);
+
+        assert.deepEqual(synthesis, {
+            summary: 'Both quarters.',
+            keyPoints: [{ text: 'Budget set', documents: [] }, { text: 'Hiring', documents: ['q2.pdf'] }],
+            actionItems: [{ text: 'Review', documents: ['q1.pdf'], owner: 'Ann', dueDate: null }],
+            openQuestions: []
+        });
+        assert.match(analysis, /\*\*Key Points\*\*\n- Budget set\n- Hiring \(q2\.pdf\)/);
+        assert.match(analysis, /- Review \[owner: Ann\] \(q1\.pdf\)/);
+        assert.match(analysis, /\*\*Open Questions\*\*\nNone identified\.$/);
+        assert.match(prompts[0].prompt, /### Document 1: q1\.pdf[\s\S]*### Document 2: q2\.pdf/);
+        assert.deepEqual(prompts[0].schema.required, ['summary', 'keyPoints', 'actionItems', 'openQuestions']);
+    });
+
+    test('orders timeline events by date with undated ones last', async () => {
+        const { generate } = modelAnswering({
+            summary: 'History',
+            events: [{ text: 'Undated' }, { text: 'Later', date: '2026-04' }, { text: 'Earlier', date: '2026-01-10' }]
+        });
+
+        const { synthesis } = await synthesizeDocuments(records, 'timeline', generate);
+        assert.deepEqual(synthesis.events.map(event => event.text), ['Earlier', 'Later', 'Undated']);
+    });
+
+    test('asks again once when the response is not valid', async () => {
+        const { generate, prompts } = modelAnswering('not json', '{"summary": "Second try"}');
+        const { synthesis } = await synthesizeDocuments(records, 'compare', generate);
+        assert.equal(prompts.length, 2);
+        assert.equal(synthesis.summary, 'Second try');
+    });
+
+    test('gives up after the second invalid response', async () => {
+        const { generate } = modelAnswering('{}', '{}');
+        await assert.rejects(synthesizeDocuments(records, 'compare', generate), /missing "summary"/);
+    });
+
+    test('rejects unknown modes and too few documents', async () => {
+        const { generate, prompts } = modelAnswering();
+        await assert.rejects(synthesizeDocuments(records, 'constructor', generate), /mode must be one of/);
+        await assert.rejects(synthesizeDocuments(records.slice(0, 1), 'compare', generate), /needs at least 2 documents/);
+        assert.equal(prompts.length, 0);
+    });
+});
+
+describe('isSynthesisName', () => {
+    test('recognizes synthesis results by their suffix', () => {
+        assert.equal(isSynthesisName('compare-20260101-120000.synthesis'), true);
+        assert.equal(isSynthesisName('report.pdf'), false);
+    });
+});
+
+describe('createSynthesisName', () => {
+    test('keeps syntheses started in the same second apart', () => {
+        const date = new Date('2026-01-01T12:00:00.123Z');
+        const name = createSynthesisName('compare', date);
+        assert.match(name, /^compare-20260101-120000123-[0-9a-f]{4}\.synthesis$/);
+        assert.equal(isSynthesisName(name), true);
+        const names = new Set(Array.from({ length: 20 }, () => createSynthesisName('compare', date)));
+        assert.ok(names.size > 1);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tasks = require('../tasks');
+
+const result = (name, actionItems) => ({ name, structured: { summary: '', actionItems } });
+
+describe('tasks', () => {
+    let dataDir;
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('creates one open task per action item', () => {
+        const changed = tasks.syncTasksFromResult(dataDir, result('a.pdf', [
+            { text: 'Send the report', owner: 'Ann', dueDate: '2030-01-15', page: 2 },
+            { text: 'Book a room' }
+        ]));
+
+        assert.equal(changed, true);
+        const list = tasks.listTasks(dataDir);
+        assert.deepEqual(list.map(task => [task.text, task.owner, task.dueDate, task.page, task.status, task.sourceFile]), [
+            ['Send the report', 'Ann', '2030-01-15', 2, 'open', 'a.pdf'],
+            ['Book a room', null, null, null, 'open', 'a.pdf']
+        ]);
+        assert.match(list[0].id, /^[0-9a-f]{16}$/);
+    });
+
+    test('keeps status and hand-set due dates across re-analysis and drops items that are gone', () => {
+        tasks.syncTasksFromResult(dataDir, result('a.pdf', [{ text: 'Send the report' }, { text: 'Book a room' }]));
+        const [first, second] = tasks.listTasks(dataDir);
+        tasks.updateTask(dataDir, first.id, { status: 'done' });
+        tasks.updateTask(dataDir, second.id, { dueDate: '2030-02-01' });
+
+        tasks.syncTasksFromResult(dataDir, result('a.pdf', [
+            { text: 'send the  REPORT', dueDate: '2030-01-01' },
+            { text: 'Book a room', dueDate: '2030-03-01' }
+        ]));
+        assert.deepEqual(tasks.listTasks(dataDir).map(task => [task.id, task.status, task.dueDate]), [
+            [first.id, 'done', '2030-01-01'],
+            [second.id, 'open', '2030-02-01']
+        ]);
+
+        assert.equal(tasks.syncTasksFromResult(dataDir, result('a.pdf', [{ text: 'Book a room', dueDate: '2030-03-01' }])), true);
+        assert.deepEqual(tasks.listTasks(dataDir).map(task => task.id), [second.id]);
+        assert.equal(tasks.syncTasksFromResult(dataDir, result('a.pdf', [{ text: 'Book a room', dueDate: '2030-03-01' }])), false);
+    });
+
+    test('filters by status, file and overdue, dated tasks first', () => {
+        tasks.syncTasksFromResult(dataDir, result('a.pdf', [{ text: 'Late', dueDate: '2000-01-01' }, { text: 'Undated' }]));
+        tasks.syncTasksFromResult(dataDir, result('b.pdf', [{ text: 'Later', dueDate: '2999-01-01' }]));
+
+        assert.deepEqual(tasks.listTasks(dataDir).map(task => task.text), ['Late', 'Later', 'Undated']);
+        assert.deepEqual(tasks.listTasks(dataDir, { overdue: true }).map(task => task.text), ['Late']);
+        assert.deepEqual(tasks.listTasks(dataDir, { file: 'b.pdf' }).map(task => task.text), ['Later']);
+
+        const late = tasks.listTasks(dataDir, { overdue: true })[0];
+        tasks.updateTask(dataDir, late.id, { status: 'done' });
+        assert.deepEqual(tasks.listTasks(dataDir, { overdue: true }), []);
+        assert.deepEqual(tasks.listTasks(dataDir, { status: 'done' }).map(task => task.text), ['Late']);
+    });
+
+    test('validates updates and ignores unknown ids', () => {
+        tasks.syncTasksFromResult(dataDir, result('a.pdf', [{ text: 'Send the report' }]));
+        const [task] = tasks.listTasks(dataDir);
+
+        assert.throws(() => tasks.updateTask(dataDir, task.id, { status: 'later' }), /status must be/);
+        assert.throws(() => tasks.updateTask(dataDir, task.id, { dueDate: '15.01.2030' }), /dueDate must be/);
+        assert.equal(tasks.updateTask(dataDir, 'missing', { status: 'done' }), null);
+        for (const id of ['__proto__', 'constructor', 'toString']) {
+            assert.equal(tasks.updateTask(dataDir, id, { status: 'done' }), null);
+        }
+        assert.equal(Object.prototype.status, undefined);
+
+        const done = tasks.updateTask(dataDir, task.id, { status: 'done' });
+        assert.equal(done.status, 'done');
+        assert.ok(done.completedAt);
+        assert.equal(tasks.updateTask(dataDir, task.id, { status: 'open' }).completedAt, null);
+    });
+
+    test('removes the tasks of a document', () => {
+        tasks.syncTasksFromResult(dataDir, result('a.pdf', [{ text: 'One' }]));
+        tasks.syncTasksFromResult(dataDir, result('b.pdf', [{ text: 'Two' }]));
+
+        assert.equal(tasks.removeTasksForFile(dataDir, 'a.pdf'), true);
+        assert.equal(tasks.removeTasksForFile(dataDir, 'a.pdf'), false);
+        assert.deepEqual(tasks.listTasks(dataDir).map(task => task.sourceFile), ['b.pdf']);
+    });
+
+    test('exports dated open tasks as all-day events', () => {
+        const calendar = tasks.buildCalendar([
+            { id: 'a1', text: 'Pay invoice; call Ann, Bob', dueDate: '2030-12-31', status: 'open', sourceFile: 'a.pdf', page: 3, owner: 'Ann' },
+            { id: 'a2', text: 'Done already', dueDate: '2030-01-01', status: 'done', sourceFile: 'a.pdf' },
+            { id: 'a3', text: 'No date', dueDate: null, status: 'open', sourceFile: 'a.pdf' },
+            { id: 'a4', text: 'x'.repeat(100), dueDate: '2030-01-02', status: 'open', sourceFile: 'a.pdf' }
+        ]);
+
+        assert.equal(calendar.match(/BEGIN:VEVENT/g).length, 2);
+        assert.match(calendar, /DTSTART;VALUE=DATE:20301231\r\nDTEND;VALUE=DATE:20310101\r\n/);
+        assert.match(calendar, /SUMMARY:Pay invoice\\; call Ann\\, Bob\r\n/);
+        assert.match(calendar, /DESCRIPTION:From a\.pdf\\, page 3\. Owner: Ann\r\n/);
+        assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+        assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    });
+});
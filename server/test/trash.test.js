@@ -0,0 +1,126 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const trash = require('../trash');
+
+describe('trash', () => {
+    let dataDir;
+    let savedRetention;
+
+    const write = (name, content = name) => {
+        fs.mkdirSync(path.dirname(path.join(dataDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, name), content);
+    };
+    const exists = name => fs.existsSync(path.join(dataDir, name));
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-test-'));
+        savedRetention = process.env.TRASH_RETENTION_DAYS;
+        delete process.env.TRASH_RETENTION_DAYS;
+    });
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        if (savedRetention === undefined) delete process.env.TRASH_RETENTION_DAYS;
+        else process.env.TRASH_RETENTION_DAYS = savedRetention;
+    });
+
+    test('moves a document and its sidecars out of the data directory', () => {
+        write('Work/report.pdf');
+        write('Work/report.pdf.json');
+        write('Work/report.pdf.chat.json');
+        write('Work/report.pdf.notes.txt');
+
+        const entry = trash.moveToTrash(dataDir, 'Work/report.pdf', { deletedBy: 'ann', tasks: [{ id: 't1' }] });
+
+        assert.deepEqual(entry.files, ['', '.json', '.chat.json']);
+        assert.equal(entry.deletedBy, 'ann');
+        assert.deepEqual(entry.tasks, [{ id: 't1' }]);
+        assert.equal(exists('Work/report.pdf'), false);
+        assert.equal(exists('Work/report.pdf.json'), false);
+        assert.equal(exists('Work/report.pdf.notes.txt'), true);
+        assert.equal(exists(`.trash/${entry.id}/Work/report.pdf`), true);
+        assert.deepEqual(trash.listTrash(dataDir).map(item => item.id), [entry.id]);
+    });
+
+    test('restores the files and forgets the entry', () => {
+        write('report.pdf', 'pdf');
+        write('report.pdf.json', 'result');
+        const { id } = trash.moveToTrash(dataDir, 'report.pdf');
+
+        const entry = trash.restoreFromTrash(dataDir, id);
+
+        assert.equal(entry.name, 'report.pdf');
+        assert.equal(fs.readFileSync(path.join(dataDir, 'report.pdf'), 'utf8'), 'pdf');
+        assert.equal(fs.readFileSync(path.join(dataDir, 'report.pdf.json'), 'utf8'), 'result');
+        assert.equal(exists(`.trash/${id}`), false);
+        assert.equal(trash.getTrashEntry(dataDir, id), null);
+        assert.equal(trash.restoreFromTrash(dataDir, id), null);
+    });
+
+    test('restores what is left when trashed files are gone', () => {
+        write('report.pdf');
+        write('report.pdf.json');
+        const { id } = trash.moveToTrash(dataDir, 'report.pdf');
+        fs.rmSync(path.join(dataDir, '.trash', id, 'report.pdf'));
+
+        trash.restoreFromTrash(dataDir, id);
+
+        assert.equal(exists('report.pdf'), false);
+        assert.equal(exists('report.pdf.json'), true);
+    });
+
+    test('refuses to restore over a document with the same name', () => {
+        write('report.pdf', 'old');
+        const { id } = trash.moveToTrash(dataDir, 'report.pdf');
+        write('report.pdf', 'new');
+
+        assert.throws(() => trash.restoreFromTrash(dataDir, id), /exists again/);
+        assert.equal(fs.readFileSync(path.join(dataDir, 'report.pdf'), 'utf8'), 'new');
+        assert.notEqual(trash.getTrashEntry(dataDir, id), null);
+    });
+
+    test('purges an entry for good', () => {
+        write('report.pdf');
+        const { id } = trash.moveToTrash(dataDir, 'report.pdf');
+
+        assert.equal(trash.purgeTrashEntry(dataDir, id).name, 'report.pdf');
+        assert.equal(exists(`.trash/${id}`), false);
+        assert.deepEqual(trash.listTrash(dataDir), []);
+        assert.equal(trash.purgeTrashEntry(dataDir, id), null);
+    });
+
+    test('knows no entries by prototype names', () => {
+        write('report.pdf');
+        trash.moveToTrash(dataDir, 'report.pdf');
+
+        for (const id of ['__proto__', 'constructor', 'toString']) {
+            assert.equal(trash.getTrashEntry(dataDir, id), null);
+            assert.equal(trash.restoreFromTrash(dataDir, id), null);
+            assert.equal(trash.purgeTrashEntry(dataDir, id), null);
+        }
+        assert.equal(trash.listTrash(dataDir).length, 1);
+    });
+
+    test('expires entries after the current retention', () => {
+        write('report.pdf');
+        const entry = trash.moveToTrash(dataDir, 'report.pdf');
+        const deletedAt = new Date(entry.deletedAt);
+        const daysLater = days => new Date(deletedAt.getTime() + days * 24 * 60 * 60 * 1000);
+
+        assert.equal(new Date(entry.expiresAt).getTime(), daysLater(30).getTime());
+        assert.deepEqual(trash.listExpired(dataDir, daysLater(29)), []);
+        assert.deepEqual(trash.listExpired(dataDir, daysLater(30)).map(item => item.id), [entry.id]);
+
+        process.env.TRASH_RETENTION_DAYS = '7';
+        assert.deepEqual(trash.listExpired(dataDir, daysLater(7)).map(item => item.id), [entry.id]);
+    });
+
+    test('falls back to 30 days for an invalid retention', () => {
+        process.env.TRASH_RETENTION_DAYS = '-1';
+        assert.equal(trash.getRetentionDays(), 30);
+        process.env.TRASH_RETENTION_DAYS = '0';
+        assert.equal(trash.getRetentionDays(), 0);
+    });
+});
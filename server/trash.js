@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SIDECAR_SUFFIXES } = require('./sidecars');
+
+// Deleted documents wait in DATA_DIR/.trash until they are restored, purged or expire
+// (TRASH_RETENTION_DAYS after deletion, default 30). Each entry keeps the PDF and its sidecars in .trash/<id>/
+// under the document name, plus what removing the document dropped elsewhere, so a restore puts it all back:
+// { id, name, deletedAt, deletedBy, files: [suffix], drive: [{ id, name }], library, tasks }
+// The dot directory keeps the watcher and the data directory scan away from it.
+// A persistent storage backend keeps the index and the trashed documents (under their names) until
+// they are purged, so a restore after a cold start fetches from there what .trash/<id>/ lost.
+
+const TRASH_DIR = '.trash';
+
+function getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+function getIndexPath(dataDir) {
+    return path.join(dataDir, TRASH_DIR, 'index.json');
+}
+
+function loadTrash(dataDir) {
+    const indexPath = getIndexPath(dataDir);
+    if (fs.existsSync(indexPath)) {
+        try {
+            return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        } catch (err) {
+            console.error('Error reading trash index:', err);
+        }
+    }
+    return {};
+}
+
+function saveTrash(dataDir, entries) {
+    fs.mkdirSync(path.join(dataDir, TRASH_DIR), { recursive: true });
+    fs.writeFileSync(getIndexPath(dataDir), JSON.stringify(entries, null, 2));
+}
+
+// The PDF ('') and every sidecar suffix
+function documentSuffixes() {
+    return ['', ...Object.values(SIDECAR_SUFFIXES)];
+}
+
+// Move a document's files into the trash. details: { deletedBy, drive, library, tasks }
+function moveToTrash(dataDir, fileName, details = {}) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const files = [];
+    for (const suffix of documentSuffixes()) {
+        const source = path.join(dataDir, fileName + suffix);
+        if (!fs.existsSync(source)) continue;
+        const target = path.join(dataDir, TRASH_DIR, id, fileName + suffix);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(source, target);
+        files.push(suffix);
+    }
+
+    const entries = loadTrash(dataDir);
+    entries[id] = {
+        id,
+        name: fileName,
+        deletedAt: new Date().toISOString(),
+        deletedBy: details.deletedBy || null,
+        files,
+        drive: details.drive || [],
+        library: details.library || null,
+        tasks: details.tasks || []
+    };
+    saveTrash(dataDir, entries);
+    return withExpiry(entries[id]);
+}
+
+// Expiry follows the current retention setting, so changing it applies to what is already in the trash
+function withExpiry(entry) {
+    const expiresAt = new Date(new Date(entry.deletedAt).getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+    return { ...entry, expiresAt: expiresAt.toISOString() };
+}
+
+// Newest first
+function listTrash(dataDir) {
+    return Object.values(loadTrash(dataDir))
+        .map(withExpiry)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Own keys only, so ids such as "__proto__" or "constructor" from the URL aren't taken for entries
+function findEntry(entries, id) {
+    return Object.hasOwn(entries, id) ? entries[id] : null;
+}
+
+function getTrashEntry(dataDir, id) {
+    const entry = findEntry(loadTrash(dataDir), id);
+    return entry ? withExpiry(entry) : null;
+}
+
+// Move the files back, as far as they are still in .trash/<id>/.
+// Returns null for an unknown entry; throws when a document with the name exists again.
+function restoreFromTrash(dataDir, id) {
+    const entries = loadTrash(dataDir);
+    const entry = findEntry(entries, id);
+    if (!entry) return null;
+
+    const conflict = entry.files.find(suffix => fs.existsSync(path.join(dataDir, entry.name + suffix)));
+    if (conflict !== undefined) {
+        throw new Error(`${entry.name} exists again; rename or delete it before restoring`);
+    }
+    for (const suffix of entry.files) {
+        const source = path.join(dataDir, TRASH_DIR, id, entry.name + suffix);
+        if (!fs.existsSync(source)) continue;
+        const target = path.join(dataDir, entry.name + suffix);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(source, target);
+    }
+    fs.rmSync(path.join(dataDir, TRASH_DIR, id), { recursive: true, force: true });
+    delete entries[id];
+    saveTrash(dataDir, entries);
+    return entry;
+}
+
+// Delete the files for good. Returns the removed entry or null.
+function purgeTrashEntry(dataDir, id) {
+    const entries = loadTrash(dataDir);
+    const entry = findEntry(entries, id);
+    if (!entry) return null;
+    fs.rmSync(path.join(dataDir, TRASH_DIR, id), { recursive: true, force: true });
+    delete entries[id];
+    saveTrash(dataDir, entries);
+    return entry;
+}
+
+function listExpired(dataDir, now = new Date()) {
+    return listTrash(dataDir).filter(entry => new Date(entry.expiresAt) <= now);
+}
+
+module.exports = { getRetentionDays, moveToTrash, listTrash, getTrashEntry, restoreFromTrash, purgeTrashEntry, listExpired };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Token usage of every model call, one JSON object per line in DATA_DIR/usage.log:
+// { time, day, provider, model, document, purpose, inputTokens, outputTokens, latencyMs, retries, cost, error }
+// Costs are estimated from per-model prices in USD per million tokens; LLM_PRICES overrides or adds
+// models, e.g. {"gemini-2.0-flash": {"input": 0.1, "output": 0.4}}. Unknown models have no cost.
+// Daily budgets (USAGE_DAILY_TOKEN_BUDGET, USAGE_DAILY_COST_BUDGET) count calls of the current UTC day.
+
+const DEFAULT_PRICES = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    mock: { input: 0, output: 0 }
+};
+
+function getUsagePath(dataDir) {
+    return path.join(dataDir, 'usage.log');
+}
+
+function getPrices() {
+    if (!process.env.LLM_PRICES) return DEFAULT_PRICES;
+    try {
+        return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+    } catch (err) {
+        console.error('LLM_PRICES is not valid JSON:', err.message);
+        return DEFAULT_PRICES;
+    }
+}
+
+// USD, or null when the model has no price
+function estimateCost(model, inputTokens, outputTokens) {
+    const price = getPrices()[model];
+    if (!price) return null;
+    return ((inputTokens || 0) * (price.input || 0) + (outputTokens || 0) * (price.output || 0)) / 1e6;
+}
+
+function recordUsage(dataDir, call) {
+    const time = new Date().toISOString();
+    const entry = {
+        time,
+        day: time.substring(0, 10),
+        ...call,
+        cost: estimateCost(call.model, call.inputTokens, call.outputTokens)
+    };
+    try {
+        fs.appendFileSync(getUsagePath(dataDir), JSON.stringify(entry) + '\n');
+    } catch (err) {
+        console.error('Error writing usage log:', err);
+    }
+    return entry;
+}
+
+// Calls from `from` to `to` (YYYY-MM-DD, inclusive), optionally for one document
+function readUsage(dataDir, { from, to, document } = {}) {
+    const usagePath = getUsagePath(dataDir);
+    if (!fs.existsSync(usagePath)) return [];
+
+    return fs.readFileSync(usagePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(entry => entry && (!from || entry.day >= from) && (!to || entry.day <= to) && (!document || entry.document === document));
+}
+
+function emptyTotals() {
+    return { calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0, latencyMs: 0, retries: 0 };
+}
+
+function addToTotals(totals, entry) {
+    totals.calls++;
+    if (entry.error) totals.failedCalls++;
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    totals.totalTokens += (entry.inputTokens || 0) + (entry.outputTokens || 0);
+    if (entry.cost === null || entry.cost === undefined) totals.unpricedCalls++;
+    else totals.cost += entry.cost;
+    totals.latencyMs += entry.latencyMs || 0;
+    totals.retries += entry.retries || 0;
+    return totals;
+}
+
+function summarize(entries) {
+    return entries.reduce(addToTotals, emptyTotals());
+}
+
+// Totals grouped by key(entry), as a list sorted by sort(a, b)
+function groupTotals(entries, key, field, sort) {
+    const groups = {};
+    for (const entry of entries) {
+        const value = key(entry);
+        groups[value] = addToTotals(groups[value] || emptyTotals(), entry);
+    }
+    return Object.entries(groups).map(([value, totals]) => ({ [field]: value, ...totals })).sort(sort);
+}
+
+// What GET /api/usage returns: totals, and the same by day (newest first), document and model (most tokens first)
+function aggregateUsage(entries) {
+    const byTokens = (a, b) => b.totalTokens - a.totalTokens;
+    return {
+        totals: summarize(entries),
+        byDay: groupTotals(entries, entry => entry.day, 'day', (a, b) => b.day.localeCompare(a.day)),
+        byDocument: groupTotals(entries, entry => entry.document || '(none)', 'document', byTokens),
+        byModel: groupTotals(entries, entry => `${entry.provider}/${entry.model}`, 'model', byTokens)
+    };
+}
+
+function getBudgets() {
+    const tokens = parseInt(process.env.USAGE_DAILY_TOKEN_BUDGET, 10);
+    const cost = parseFloat(process.env.USAGE_DAILY_COST_BUDGET);
+    return { tokens: tokens > 0 ? tokens : null, cost: cost > 0 ? cost : null };
+}
+
+// Today's totals and, when a budget is used up, why: { budgets, today, exceeded }
+function checkBudgets(dataDir) {
+    const budgets = getBudgets();
+    const today = summarize(readUsage(dataDir, { from: new Date().toISOString().substring(0, 10) }));
+    let exceeded = null;
+    if (budgets.tokens && today.totalTokens >= budgets.tokens) {
+        exceeded = `daily token budget used up (${today.totalTokens} of ${budgets.tokens} tokens)`;
+    } else if (budgets.cost && today.cost >= budgets.cost) {
+        exceeded = `daily cost budget used up ($${today.cost.toFixed(4)} of $${budgets.cost})`;
+    }
+    return { budgets, today, exceeded };
+}
+
+// Why the job queue should hold, or null (also when no budget is configured)
+function budgetExceeded(dataDir) {
+    const budgets = getBudgets();
+    if (!budgets.tokens && !budgets.cost) return null;
+    return checkBudgets(dataDir).exceeded;
+}
+
+// What a result stores about the calls that produced it: totals plus each call in perCall
+function resultUsage(calls) {
+    return { ...summarize(calls), perCall: calls.map(({ day, document, purpose, ...call }) => call) };
+}
+
+module.exports = { estimateCost, recordUsage, readUsage, summarize, aggregateUsage, getBudgets, checkBudgets, budgetExceeded, resultUsage };